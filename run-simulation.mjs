@@ -1,30 +1,32 @@
 #!/usr/bin/env node
-import { existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync } from "node:fs";
+import { chmodSync, closeSync, existsSync, mkdirSync, openSync, readdirSync, readFileSync, readSync, realpathSync, renameSync, rmSync, statSync, writeFileSync } from "node:fs";
 import { fileURLToPath } from "node:url";
+import { homedir } from "node:os";
 import path from "node:path";
-import { spawn } from "node:child_process";
+import { spawn, spawnSync } from "node:child_process";
+import { createCipheriv, createDecipheriv, createHash, randomBytes, scryptSync } from "node:crypto";
+import { createServer } from "node:http";
+import { StringDecoder } from "node:string_decoder";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+// Flags that take no value; every other --flag consumes the next argument.
+const BOOLEAN_FLAGS = new Set(["reset", "skip-platform", "refresh-persona", "force", "all", "yes", "dry-run"]);
+
 const cli = parseCli(process.argv.slice(2));
 const command = cli.command || "run";
 const configPath = path.resolve(process.cwd(), cli.config || path.join(__dirname, "agents.example.json"));
-const config = readJson(configPath, { platform: {}, agents: [] });
 const instanceRoot = path.resolve(process.cwd(), cli.instances || path.join(__dirname, "instances"));
-const agentConfigMap = indexByHandle(Array.isArray(config.agents) ? config.agents : []);
 
-const platform = normalizePlatform(config.platform || {});
-const BASE = normalizeBase(process.env.BEEHACK_API_BASE || platform.api_base || "https://beehack.vercel.app");
-const API_BASE = `${BASE}/api`;
-const TIMEOUT = Math.max(2000, Number(process.env.BEEHACK_SIM_TIMEOUT_MS || platform.request_timeout_ms || 12000));
-const SESSION_TIMEOUT = Number(process.env.BEEHACK_SESSION_TIMEOUT_MS || platform.session_timeout_ms || 600_000);
+// Config-derived globals, assigned by loadConfig() in Main and reassigned when the daemon reloads.
+let config, agentConfigMap, platform, environment, BASE, API_BASE, TIMEOUT, SESSION_TIMEOUT;
 
 // ---------------------------------------------------------------------------
 // CLI parsing
 // ---------------------------------------------------------------------------
 
 function parseCli(argv) {
-  const out = { command: "run", config: null, instances: null };
+  const out = { command: "run", config: null, instances: null, options: {}, positionals: [] };
   const args = [...argv];
 
   if (args.length > 0 && !args[0].startsWith("--")) {
@@ -37,12 +39,17 @@ function parseCli(argv) {
       out.command = "help";
       break;
     }
-    if (arg === "--config") { out.config = args.shift(); continue; }
-    if (arg.startsWith("--config=")) { out.config = arg.slice("--config=".length); continue; }
-    if (arg === "--instances") { out.instances = args.shift(); continue; }
-    if (arg.startsWith("--instances=")) { out.instances = arg.slice("--instances=".length); continue; }
+    if (!arg.startsWith("--")) { out.positionals.push(arg); continue; }
+
+    const eq = arg.indexOf("=");
+    const key = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+    if (eq !== -1) out.options[key] = arg.slice(eq + 1);
+    else if (BOOLEAN_FLAGS.has(key)) out.options[key] = true;
+    else out.options[key] = args.shift();
   }
 
+  out.config = out.options.config || null;
+  out.instances = out.options.instances || null;
   return out;
 }
 
@@ -50,6 +57,36 @@ function parseCli(argv) {
 // Platform & agent config
 // ---------------------------------------------------------------------------
 
+function loadConfig({ quiet = false } = {}) {
+  const { value, lines, issues } = readConfigChecked();
+  const errors = issues.filter((issue) => issue.level === "error");
+  sortIssues(issues, lines);
+  if (!quiet) for (const issue of issues.filter((x) => x.level === "warning")) console.warn(formatIssue(issue, lines));
+  if (errors.length > 0) {
+    throw new Error(`${errors.length} config error(s):\n${errors.map((issue) => `  ${formatIssue(issue, lines)}`).join("\n")}`);
+  }
+  config = value;
+  agentConfigMap = indexByHandle(Array.isArray(config.agents) ? config.agents : []);
+
+  platform = normalizePlatform(config.platform || {});
+  environment = selectEnvironment(config.environments || {});
+  // A named environment's base URL wins over BEEHACK_API_BASE, so --env can't be pointed elsewhere by accident.
+  BASE = normalizeBase(environment?.api_base || process.env.BEEHACK_API_BASE || platform.api_base || "https://beehack.vercel.app");
+  API_BASE = `${BASE}/api`;
+  TIMEOUT = Math.max(2000, Number(process.env.BEEHACK_SIM_TIMEOUT_MS || environment?.request_timeout_ms || platform.request_timeout_ms || 12000));
+  SESSION_TIMEOUT = Number(process.env.BEEHACK_SESSION_TIMEOUT_MS || environment?.session_timeout_ms || platform.session_timeout_ms || 600_000);
+}
+
+function selectEnvironment(environments) {
+  // Without --env or BEEHACK_ENV the harness runs against platform.api_base with the original instance layout.
+  const name = cli.options.env || process.env.BEEHACK_ENV || null;
+  if (!name) return null;
+  if (!Object.hasOwn(environments, name)) {
+    throw new Error(`Unknown environment "${name}" (configured: ${Object.keys(environments).join(", ") || "none"})`);
+  }
+  return { name, registration: "auto", ...environments[name] };
+}
+
 function normalizeBase(raw) { return raw.replace(/\/+$/, ""); }
 
 function normalizePlatform(raw) {
@@ -57,6 +94,7 @@ function normalizePlatform(raw) {
     api_base: "https://beehack.vercel.app",
     request_timeout_ms: 12000,
     max_parallel_runs: 1,
+    max_actions_per_agent_per_cycle: 3,
     restrict_to_config: false,
     only_due: true,
     schedule_defaults: {
@@ -64,32 +102,91 @@ function normalizePlatform(raw) {
       jitter_minutes: 1,
       offset_minutes: 0,
       initial_delay_minutes: 0,
+      timezone: "UTC",
+      mode: "interval",
     },
     agent_command: null,
+    backend: null,
+    backends: {},
     local_agent_env: {},
+    budget: {},
+    agent_budget: {},
+    retry: { max_attempts: 3, base_delay_ms: 500, max_delay_ms: 8000 },
+    circuit_breaker: { suspend_after: 5, backoff_factor: 2, max_backoff_minutes: 720 },
+    memory: { enabled: true, sessions: 5, transcript_tail_chars: 300, max_digest_chars: 4000 },
+    secrets: { file: null, passphrase_env: "BEEHACK_SECRETS_PASSPHRASE" },
+    persona: { mode: "auto" },
+    sources: { enabled: true, refresh_hours: 24, fetch_timeout_ms: 120_000, max_file_mb: 50 },
+    sandbox: {
+      env_allowlist: DEFAULT_ENV_ALLOWLIST,
+      private_home: false,
+      private_tmp: false,
+      cpu_seconds: null,
+      memory_mb: null,
+      file_size_mb: null,
+      max_output_bytes: 10_000_000,
+      check_writes: true,
+      watch_paths: null,
+    },
+    audit: { enabled: true, max_open_claims: 3 },
+    prompt_template: "session",
+    prompt_templates: {},
+    seed: null,
+    daemon_poll_ms: 60_000,
+    daemon_shutdown_grace_ms: 30_000,
   };
 
   const p = {
     ...defaults,
     ...raw,
     schedule_defaults: { ...defaults.schedule_defaults, ...(raw.schedule_defaults || {}) },
+    retry: { ...defaults.retry, ...(raw.retry || {}) },
+    circuit_breaker: { ...defaults.circuit_breaker, ...(raw.circuit_breaker || {}) },
+    memory: { ...defaults.memory, ...(raw.memory || {}) },
+    secrets: { ...defaults.secrets, ...(raw.secrets || {}) },
+    persona: { ...defaults.persona, ...(raw.persona || {}) },
+    sources: { ...defaults.sources, ...(raw.sources || {}) },
+    audit: { ...defaults.audit, ...(raw.audit || {}) },
+    sandbox: { ...defaults.sandbox, ...(raw.sandbox || {}) },
   };
 
   p.request_timeout_ms = toPositiveInt(p.request_timeout_ms, defaults.request_timeout_ms);
   p.max_parallel_runs = toPositiveInt(p.max_parallel_runs, defaults.max_parallel_runs);
+  p.max_actions_per_agent_per_cycle = toPositiveInt(p.max_actions_per_agent_per_cycle, defaults.max_actions_per_agent_per_cycle);
+  p.retry.max_attempts = toPositiveInt(p.retry.max_attempts, defaults.retry.max_attempts);
+  p.retry.base_delay_ms = toNonNegativeInt(p.retry.base_delay_ms, defaults.retry.base_delay_ms);
+  p.retry.max_delay_ms = toNonNegativeInt(p.retry.max_delay_ms, defaults.retry.max_delay_ms);
+  p.circuit_breaker.suspend_after = toNonNegativeInt(p.circuit_breaker.suspend_after, defaults.circuit_breaker.suspend_after);
+  p.circuit_breaker.backoff_factor = Math.max(1, Number(p.circuit_breaker.backoff_factor) || defaults.circuit_breaker.backoff_factor);
+  p.circuit_breaker.max_backoff_minutes = toPositiveInt(p.circuit_breaker.max_backoff_minutes, defaults.circuit_breaker.max_backoff_minutes);
+  p.memory.enabled = p.memory.enabled !== false;
+  p.memory.sessions = toPositiveInt(p.memory.sessions, defaults.memory.sessions);
+  p.memory.transcript_tail_chars = toNonNegativeInt(p.memory.transcript_tail_chars, defaults.memory.transcript_tail_chars);
+  p.memory.max_digest_chars = toPositiveInt(p.memory.max_digest_chars, defaults.memory.max_digest_chars);
+  if (!["auto", "backend", "local", "off"].includes(p.persona.mode)) p.persona.mode = defaults.persona.mode;
+  p.sources.enabled = p.sources.enabled !== false;
+  p.sources.refresh_hours = Math.max(0, Number(p.sources.refresh_hours ?? defaults.sources.refresh_hours) || 0);
+  p.sources.fetch_timeout_ms = toPositiveInt(p.sources.fetch_timeout_ms, defaults.sources.fetch_timeout_ms);
+  p.sources.max_file_mb = toPositiveInt(p.sources.max_file_mb, defaults.sources.max_file_mb);
+  p.sandbox.max_output_bytes = toPositiveInt(p.sandbox.max_output_bytes, defaults.sandbox.max_output_bytes);
+  p.sandbox.check_writes = p.sandbox.check_writes !== false;
+  p.audit.enabled = p.audit.enabled !== false;
+  p.audit.max_open_claims = toNonNegativeInt(p.audit.max_open_claims, defaults.audit.max_open_claims);
+  p.budget = normalizeBudget(p.budget);
+  p.agent_budget = normalizeBudget(p.agent_budget);
+  p.daemon_poll_ms = toPositiveInt(p.daemon_poll_ms, defaults.daemon_poll_ms);
+  p.daemon_shutdown_grace_ms = toNonNegativeInt(p.daemon_shutdown_grace_ms, defaults.daemon_shutdown_grace_ms);
   p.restrict_to_config = p.restrict_to_config !== false;
   p.only_due = p.only_due !== false;
-  p.schedule_defaults.interval_minutes = toPositiveInt(p.schedule_defaults.interval_minutes, defaults.schedule_defaults.interval_minutes);
-  p.schedule_defaults.jitter_minutes = toNonNegativeInt(p.schedule_defaults.jitter_minutes, defaults.schedule_defaults.jitter_minutes);
-  p.schedule_defaults.offset_minutes = toNonNegativeInt(p.schedule_defaults.offset_minutes, defaults.schedule_defaults.offset_minutes);
-  p.schedule_defaults.initial_delay_minutes = toNonNegativeInt(p.schedule_defaults.initial_delay_minutes, defaults.schedule_defaults.initial_delay_minutes);
+  p.schedule_defaults = normalizeSchedule(p.schedule_defaults, defaults.schedule_defaults);
 
   return p;
 }
 
 function indexByHandle(agents) {
   const map = new Map();
-  for (const a of agents) { if (a?.handle) map.set(a.handle, a); }
+  // Keyed like normalizeAgent's handle, so "Alice_01" in the config matches instances/alice_01.
+  for (const a of agents) { if (a?.handle) map.set(String(a.handle).trim().toLowerCase(), a); }
   return map;
 }
 
@@ -99,16 +196,17 @@ function normalizeAgent(agent, platformCfg) {
     handle,
     name: agent.name || handle,
     repo_context: Array.isArray(agent.repo_context) ? agent.repo_context : [],
-    schedule: {
-      interval_minutes: toPositiveInt(agent?.schedule?.interval_minutes, platformCfg.schedule_defaults.interval_minutes),
-      jitter_minutes: toNonNegativeInt(agent?.schedule?.jitter_minutes, platformCfg.schedule_defaults.jitter_minutes),
-      offset_minutes: toNonNegativeInt(agent?.schedule?.offset_minutes, platformCfg.schedule_defaults.offset_minutes),
-      initial_delay_minutes: toNonNegativeInt(agent?.schedule?.initial_delay_minutes, platformCfg.schedule_defaults.initial_delay_minutes),
-      only_due: agent?.schedule?.only_due ?? platformCfg.only_due,
-    },
+    schedule: normalizeSchedule(agent.schedule, platformCfg.schedule_defaults, platformCfg.only_due),
     agent_command: agent.agent_command || platformCfg.agent_command || null,
+    backend: agent.backend || null,
+    role: agent.role || null,
+    prompt_template: agent.prompt_template || null,
     model: agent.model || platformCfg.model || null,
-    api_key: agent.api_key || null,
+    api_key: (environment ? agent.api_keys?.[environment.name] : agent.api_key) || null,
+    personality: normalizePersonality(agent.personality),
+    persona: agent.persona && typeof agent.persona === "object" ? agent.persona : {},
+    persona_files: Array.isArray(agent.persona_files) ? agent.persona_files : [],
+    budget: normalizeBudget(agent.budget, platformCfg.agent_budget),
   };
 }
 
@@ -131,7 +229,59 @@ function toPositiveInt(v, fb) { const n = Number(v); return Number.isFinite(n) &
 
 function toNonNegativeInt(v, fb) { const n = Number(v); return Number.isFinite(n) && n >= 0 ? Math.trunc(n) : fb; }
 
-function randomInt(min, max) { return Math.floor(Math.random() * (max - min + 1)) + min; }
+function randomInt(min, max, rng = random) { return Math.floor(rng() * (max - min + 1)) + min; }
+
+function shuffle(items, rng = random) {
+  // Fisher-Yates, in place
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
+
+function createRng(seed) {
+  // mulberry32 seeded from a hash of any string, so equal seeds replay equal sequences
+  let a = createHash("sha256").update(String(seed)).digest().readUInt32LE(0);
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// One seed per invocation: --seed, platform.seed, or a fresh one that is logged so the cycle can be replayed.
+// Shuffling draws from the cycle stream; schedule jitter draws from per-agent streams derived from the seed
+// and the agent's run_count, so parallel sessions finishing in any order still make the same decisions.
+let cycleSeed = null;
+let random = Math.random;
+
+function initRandom() {
+  cycleSeed = String(cli.options.seed ?? platform.seed ?? randomBytes(4).toString("hex"));
+  random = createRng(cycleSeed);
+}
+
+function agentRng(handle, state, purpose) { return createRng(`${cycleSeed}:${handle}:${state?.run_count || 0}:${purpose}`); }
+
+// Seeds the start order per cycle: run counts move whenever an agent runs, so a fixed seed still rotates the slots.
+function cycleRng(tracked) {
+  const counts = tracked.map((i) => `${i.handle}=${i.state.run_count || 0}`).sort().join(",");
+  return createRng(`${cycleSeed}:${counts}`);
+}
+
+function pick(rng, items) { return items.length > 0 ? items[Math.floor(rng() * items.length)] : undefined; }
+
+function pickWeighted(rng, weights) {
+  const entries = Object.entries(weights).filter(([, w]) => w > 0);
+  let roll = rng() * entries.reduce((sum, [, w]) => sum + w, 0);
+  for (const [key, w] of entries) { roll -= w; if (roll < 0) return key; }
+  return entries.at(-1)?.[0];
+}
+
+function sleep(ms) { return new Promise((resolve) => setTimeout(resolve, ms)); }
+
+function fileMtime(file) { try { return statSync(file).mtimeMs; } catch { return null; } }
 
 function formatDate(v) { return new Date(v).toISOString(); }
 
@@ -143,472 +293,4763 @@ function substituteTemplate(template, context) {
   return String(template || "")
     .replaceAll("{handle}", safeTrim(context.handle))
     .replaceAll("{name}", safeTrim(context.name))
+    .replaceAll("{personality}", safeTrim(context.personality))
+    .replaceAll("{model}", safeTrim(context.model))
     .replaceAll("{action}", safeTrim(context.action))
     .replaceAll("{prompt}", safeTrim(context.prompt))
     .replaceAll("{instance_dir}", safeTrim(context.instanceDir));
 }
 
 // ---------------------------------------------------------------------------
-// State & scheduling
+// Schedule profiles — timezones, active hours, weekday/weekend, cron, Poisson
 // ---------------------------------------------------------------------------
 
-function readAgentFromDir(instanceDir) {
-  const existing = readJson(path.join(instanceDir, "agent.json"), null);
-  if (!existing) return null;
-  return normalizeAgent(existing, platform);
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const SCHEDULE_SEARCH_LIMIT_MS = 8 * 86_400_000;
+const CRON_SEARCH_LIMIT_MS = 400 * 86_400_000;
+const localFormatters = new Map();
+
+function isValidTimezone(timezone) {
+  try { new Intl.DateTimeFormat("en-US", { timeZone: timezone }); return true; } catch { return false; }
 }
 
-function readState(dir) { return readJson(path.join(dir, "state.json"), {}); }
+function normalizeSchedule(raw, defaults, onlyDue) {
+  const s = raw || {};
+  const rate = Number(s.rate_per_hour ?? defaults.rate_per_hour ?? NaN);
+  const hourly = s.hourly_rates ?? defaults.hourly_rates;
+  return {
+    interval_minutes: toPositiveInt(s.interval_minutes, defaults.interval_minutes),
+    jitter_minutes: toNonNegativeInt(s.jitter_minutes, defaults.jitter_minutes),
+    offset_minutes: toNonNegativeInt(s.offset_minutes, defaults.offset_minutes),
+    initial_delay_minutes: toNonNegativeInt(s.initial_delay_minutes, defaults.initial_delay_minutes),
+    only_due: s.only_due ?? onlyDue,
+    timezone: s.timezone && isValidTimezone(s.timezone) ? s.timezone : defaults.timezone || "UTC",
+    mode: s.mode === "poisson" || s.mode === "interval" ? s.mode : defaults.mode || "interval",
+    rate_per_hour: Number.isFinite(rate) && rate >= 0 ? rate : null,
+    hourly_rates: Array.isArray(hourly) && hourly.length === 24 ? hourly.map((r) => Math.max(0, Number(r) || 0)) : null,
+    active_hours: s.active_hours ?? defaults.active_hours ?? null,
+    weekday: s.weekday ?? defaults.weekday ?? null,
+    weekend: s.weekend ?? defaults.weekend ?? null,
+    cron: s.cron ?? defaults.cron ?? null,
+  };
+}
 
-function writeState(dir, state) { writeJson(path.join(dir, "state.json"), state); }
+function localParts(ts, timezone) {
+  let formatter = localFormatters.get(timezone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone, hourCycle: "h23",
+      month: "numeric", day: "numeric", weekday: "short", hour: "numeric", minute: "numeric",
+    });
+    localFormatters.set(timezone, formatter);
+  }
+  const parts = Object.fromEntries(formatter.formatToParts(ts).map((p) => [p.type, p.value]));
+  return { month: +parts.month, day: +parts.day, weekday: WEEKDAY_INDEX[parts.weekday], hour: +parts.hour % 24, minute: +parts.minute };
+}
 
-function initialRunAt(schedule) {
-  const delayMs =
-    schedule.initial_delay_minutes * 60_000 +
-    schedule.offset_minutes * 60_000 +
-    randomInt(-schedule.jitter_minutes, schedule.jitter_minutes) * 60_000;
-  return formatDate(Date.now() + Math.max(0, delayMs));
+function formatLocal(ts, timezone) {
+  // A hand-edited or corrupt next_run_at parses to NaN; isDue treats it as due, and it has no local time.
+  if (!Number.isFinite(ts)) return "-";
+  return new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone, hourCycle: "h23", timeZoneName: "short",
+    weekday: "short", month: "short", day: "numeric", hour: "2-digit", minute: "2-digit",
+  }).format(ts);
 }
 
-function nextRunAtFrom(previousTs, schedule) {
-  const previous = Number(previousTs || Date.now());
-  const jitter = randomInt(-schedule.jitter_minutes, schedule.jitter_minutes) * 60_000;
-  return formatDate(previous + schedule.interval_minutes * 60_000 + jitter);
+function parseActiveHours(list) {
+  // "09:00-17:30" → [540, 1050]; a window may wrap past midnight ("22:00-02:00")
+  return (Array.isArray(list) ? list : [list]).flatMap((window) => {
+    const m = String(window).match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+    return m ? [[+m[1] * 60 + +m[2], +m[3] * 60 + +m[4]]] : [];
+  });
 }
 
-function isDue(nextTs) {
-  if (!nextTs) return true;
-  const next = Date.parse(nextTs);
-  if (Number.isNaN(next)) return true;
-  return Date.now() >= next;
+function dayProfile(schedule, weekday) {
+  const override = (weekday === 0 || weekday === 6 ? schedule.weekend : schedule.weekday) || {};
+  const rate = Number(override.rate_per_hour);
+  return {
+    active_hours: override.active_hours !== undefined ? override.active_hours : schedule.active_hours,
+    interval_minutes: toPositiveInt(override.interval_minutes, schedule.interval_minutes),
+    rate_per_hour: Number.isFinite(rate) && rate >= 0 ? rate : schedule.rate_per_hour,
+    hourly_rates: Array.isArray(override.hourly_rates) && override.hourly_rates.length === 24 ? override.hourly_rates : schedule.hourly_rates,
+  };
 }
 
-function instancePath(handle) { return path.join(instanceRoot, handle); }
+function isActiveAt(schedule, ts) {
+  const local = localParts(ts, schedule.timezone);
+  const { active_hours } = dayProfile(schedule, local.weekday);
+  // null/undefined means always active; an empty list means never (e.g. weekends off)
+  if (active_hours === null || active_hours === undefined) return true;
+  const minute = local.hour * 60 + local.minute;
+  return parseActiveHours(active_hours).some(([start, end]) => (start <= end ? minute >= start && minute < end : minute >= start || minute < end));
+}
 
-function logAgent(agent, message) {
-  const dir = instancePath(agent.handle);
-  appendLine(path.join(dir, "activity.log"), `[${formatDate(Date.now())}] ${agent.handle}: ${message}`);
+function nextActiveAt(schedule, ts) {
+  if (isActiveAt(schedule, ts)) return ts;
+  for (let t = Math.ceil(ts / 60_000) * 60_000; t < ts + SCHEDULE_SEARCH_LIMIT_MS; t += 60_000) {
+    if (isActiveAt(schedule, t)) return t;
+  }
+  return null;
 }
 
-// ---------------------------------------------------------------------------
-// API (used only for registration)
-// ---------------------------------------------------------------------------
+function parseCronField(field, min, max) {
+  const values = new Set();
+  for (const part of field.split(",")) {
+    const m = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!m) return null;
+    const from = m[1] === "*" ? min : +m[2];
+    const to = m[1] === "*" ? max : m[3] !== undefined ? +m[3] : m[4] ? max : from;
+    const step = m[4] ? +m[4] : 1;
+    if (from < min || to > max || from > to || step < 1) return null;
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
 
-async function apiCall(apiKey, method, route, body) {
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), TIMEOUT);
-  const headers = { accept: "application/json", "content-type": "application/json", "user-agent": "beehack-simulator/0.3.0" };
-  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+function parseCron(expression) {
+  const fields = String(expression || "").trim().split(/\s+/);
+  if (fields.length !== 5) return null;
+  const [minute, hour, dom, month, dow] = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]].map(([min, max], i) => parseCronField(fields[i], min, max));
+  if (!minute || !hour || !dom || !month || !dow) return null;
+  if (dow.has(7)) dow.add(0);
+  return { minute, hour, dom, month, dow, domAny: fields[2] === "*", dowAny: fields[4] === "*" };
+}
 
-  try {
-    const response = await fetch(`${API_BASE}${route}`, {
-      method, headers,
-      body: body ? JSON.stringify(body) : undefined,
-      signal: controller.signal,
-    });
-    const raw = await response.text();
-    let payload = null;
-    if (raw) { try { payload = JSON.parse(raw); } catch { } }
-    if (!response.ok) {
-      const reason = typeof payload === "object" && payload !== null && (payload.error || payload.message)
-        ? String(payload.error || payload.message) : raw || response.statusText;
-      throw new Error(`HTTP ${response.status}: ${reason}`);
+function cronDayMatches(cron, local) {
+  // Standard cron: when both day fields are restricted, either may match.
+  if (cron.domAny && cron.dowAny) return true;
+  if (cron.domAny) return cron.dow.has(local.weekday);
+  if (cron.dowAny) return cron.dom.has(local.day);
+  return cron.dom.has(local.day) || cron.dow.has(local.weekday);
+}
+
+function nextCronAt(cron, timezone, afterTs) {
+  let t = Math.floor(afterTs / 60_000) * 60_000 + 60_000;
+  while (t < afterTs + CRON_SEARCH_LIMIT_MS) {
+    const local = localParts(t, timezone);
+    if (!cron.month.has(local.month) || !cronDayMatches(cron, local)) {
+      t += ((23 - local.hour) * 60 + (60 - local.minute)) * 60_000;
+    } else if (!cron.hour.has(local.hour)) {
+      t += (60 - local.minute) * 60_000;
+    } else if (!cron.minute.has(local.minute)) {
+      t += 60_000;
+    } else {
+      return t;
     }
-    return payload;
-  } finally {
-    clearTimeout(timer);
   }
+  return null;
 }
 
-// ---------------------------------------------------------------------------
-// Process spawning
-// ---------------------------------------------------------------------------
-
-async function runAgentCommand(agent, action, prompt) {
-  const cfg = agent.agent_command;
-  if (!cfg) return null;
-
-  const instanceDir = instancePath(agent.handle);
-  const env = {
-    ...process.env,
-    ...(platform.local_agent_env || {}),
-    BEEHACK_AGENT_HANDLE: agent.handle,
-    BEEHACK_AGENT_ACTION: action,
-    BEEHACK_AGENT_PROMPT: prompt,
-  };
-  delete env.CLAUDECODE;
+function rateAt(schedule, ts) {
+  if (!isActiveAt(schedule, ts)) return 0;
+  const local = localParts(ts, schedule.timezone);
+  const profile = dayProfile(schedule, local.weekday);
+  const hourly = profile.hourly_rates ? Number(profile.hourly_rates[local.hour]) : NaN;
+  if (Number.isFinite(hourly)) return Math.max(0, hourly);
+  return profile.rate_per_hour ?? 60 / profile.interval_minutes;
+}
 
-  const context = { handle: agent.handle, name: agent.name, action, prompt, instanceDir };
+function maxRate(schedule) {
+  const profiles = [dayProfile(schedule, 1), dayProfile(schedule, 0)];
+  return Math.max(...profiles.flatMap((p) => [
+    p.rate_per_hour ?? 60 / p.interval_minutes,
+    ...(p.hourly_rates || []).map(Number).filter(Number.isFinite),
+  ]));
+}
 
-  if (typeof cfg === "string") {
-    const cmd = substituteTemplate(cfg, context);
-    return runSpawnCommand(process.env.SHELL || "/bin/sh", ["-lc", cmd], { cwd: instanceDir, env, shell: false });
+function nextPoissonAt(schedule, fromTs, rng) {
+  // Non-homogeneous Poisson process by thinning: draw at the peak rate, keep with probability rate(t)/peak.
+  const peak = maxRate(schedule);
+  if (!(peak > 0)) return null;
+  for (let t = fromTs; t < fromTs + SCHEDULE_SEARCH_LIMIT_MS;) {
+    t += (-Math.log(1 - rng()) / peak) * 3_600_000;
+    if (rng() * peak < rateAt(schedule, t)) return Math.round(t);
   }
+  return null;
+}
 
-  if (!cfg || typeof cfg !== "object" || !cfg.cmd) return null;
+function nextIntervalAt(schedule, fromTs, rng) {
+  const { interval_minutes } = dayProfile(schedule, localParts(fromTs, schedule.timezone).weekday);
+  const jitter = randomInt(-schedule.jitter_minutes, schedule.jitter_minutes, rng) * 60_000;
+  const candidate = fromTs + interval_minutes * 60_000 + jitter;
+  if (isActiveAt(schedule, candidate)) return candidate;
+  const start = nextActiveAt(schedule, candidate);
+  return start === null ? null : start + randomInt(0, schedule.jitter_minutes, rng) * 60_000;
+}
 
-  const args = Array.isArray(cfg.args)
-    ? cfg.args.map((arg) => substituteTemplate(arg, context))
-    : [];
+function nextWakeAfter(schedule, fromTs, rng = random) {
+  const cron = schedule.cron ? parseCron(schedule.cron) : null;
+  if (cron) return nextCronAt(cron, schedule.timezone, fromTs);
+  if (schedule.mode === "poisson") return nextPoissonAt(schedule, fromTs, rng);
+  return nextIntervalAt(schedule, fromTs, rng);
+}
 
-  if (agent.model) args.push("--model", agent.model);
+// ---------------------------------------------------------------------------
+// State & scheduling
+// ---------------------------------------------------------------------------
 
-  return runSpawnCommand(cfg.cmd, args, {
-    cwd: instanceDir,
-    env,
-    timeout: action === "session" ? SESSION_TIMEOUT : undefined,
-  });
+function loadAgent(handle) {
+  // The config is authoritative; agent.json only stands in for handles no longer in it.
+  // Its schedule is a normalized snapshot, so merging it would pin old platform defaults.
+  const inConfig = agentConfigMap.get(handle);
+  if (inConfig) return normalizeAgent(inConfig, platform);
+  return normalizeAgent(readJson(path.join(instancePath(handle), "agent.json"), null) || { handle }, platform);
 }
 
-async function runSpawnCommand(cmd, args, options) {
-  const spawnTimeout = options?.timeout || TIMEOUT;
-  return new Promise((resolve, reject) => {
-    const child = spawn(cmd, args, { ...options, stdio: ["ignore", "pipe", "pipe"] });
-    let output = "";
-    let errors = "";
-    if (child.stdout) child.stdout.on("data", (c) => { output += c.toString(); });
-    if (child.stderr) child.stderr.on("data", (c) => { errors += c.toString(); });
-
-    const timer = setTimeout(() => { try { child.kill("SIGTERM"); } catch { } }, spawnTimeout);
-    child.on("error", (e) => { clearTimeout(timer); reject(e); });
-    child.on("close", (code) => {
-      clearTimeout(timer);
-      if (code === 0 || code === null) resolve((output || "").trim());
-      else reject(new Error(errors || output || `exit_code_${code}`));
-    });
-  });
+function readState(dir) { return readJson(path.join(envDir(dir), "state.json"), {}); }
+
+function writeState(dir, state) {
+  const { api_key: _key, ...rest } = state;
+  ensureDir(envDir(dir));
+  writeJson(path.join(envDir(dir), "state.json"), rest);
 }
 
-// ---------------------------------------------------------------------------
-// Session prompt
-// ---------------------------------------------------------------------------
+function initialRunAt(schedule, now = Date.now(), rng = random) {
+  const delayMs = (schedule.initial_delay_minutes + schedule.offset_minutes) * 60_000;
+  // A schedule with no allowed slot in the search window (no active hours, impossible cron)
+  // is parked at the end of the window and re-checked from there.
+  if (schedule.cron || schedule.mode === "poisson") {
+    const start = now + delayMs;
+    return formatDate(nextWakeAfter(schedule, start, rng) ?? start + SCHEDULE_SEARCH_LIMIT_MS);
+  }
 
-function buildSessionPrompt(agent) {
-  const sources = (agent.repo_context || []).map((u) => `  - ${u}`).join("\n");
-  return [
-    `You are ${agent.name}. Run your beehack session now.`,
-    "",
-    "Your CLAUDE.md defines who you are and how to interact with the platform.",
-    "Your API key is in .env.local. Fetch and read beehack.vercel.app/resources/skill.md to refresh your knowledge.",
-    "",
-    "Execute your startup workflow:",
-    "1. Read CLAUDE.md and .env.local",
-    "2. Check notifications — respond to anything relevant",
-    "3. Review your profile and claimed tasks — prioritize completing open claims",
-    "4. Browse open tasks — comment, claim, or skip based on genuine fit with your expertise",
-    "5. Upvote and downvote comments based on relevance and helpfulness",
-    "6. If you spot a real issue in your repos, post it as a task for others",
-    "7. If you are a researcher post or answer questions in your field of expertise to brainstorm ideas. Invite wide range of opinions. Accomplish or post/manage your tasks to extend/evaluate your research work in different domains.",
-    "",
-    sources ? `Your source context:\n${sources}` : "",
-    "",
-    "Rules:",
-    "- Only act if you have something genuinely useful to contribute",
-    "- If there is nothing to do, just exit",
-    "- Use curl -s for all API calls",
-    "- Be yourself — your personality and expertise should come through naturally",
-  ].filter(Boolean).join("\n");
+  const earliest = now + Math.max(0, delayMs + randomInt(-schedule.jitter_minutes, schedule.jitter_minutes, rng) * 60_000);
+  return formatDate(nextActiveAt(schedule, earliest) ?? earliest + SCHEDULE_SEARCH_LIMIT_MS);
 }
 
-// ---------------------------------------------------------------------------
-// CLAUDE.md generator — the only file we generate for the agent
-// ---------------------------------------------------------------------------
+function nextRunAtFrom(previousTs, schedule, rng = random) {
+  const previous = Number(previousTs || Date.now());
+  return formatDate(nextWakeAfter(schedule, previous, rng) ?? previous + SCHEDULE_SEARCH_LIMIT_MS);
+}
 
-function generateClaudeMd(agent) {
-  const sources = (agent.repo_context || []).map((u) => `- ${u}`).join("\n") || "- (none)";
-  return `# ${agent.handle} — Beehack Agent
+function isDue(nextTs, now = Date.now()) {
+  if (!nextTs) return true;
+  const next = Date.parse(nextTs);
+  if (Number.isNaN(next)) return true;
+  return now >= next;
+}
 
-## Who You Are
+function instancePath(handle) { return path.join(instanceRoot, handle); }
 
-- **Handle:** ${agent.handle}
-- **Profile:** ${BASE}/api/users/profile?name=${agent.handle}
-- **Credentials:** \`.env.local\`
+// Schedule state, activity.log, events and session logs are kept per environment; the workspace
+// (CLAUDE.md, persona, sources, memory notes) and the lock are shared by all of them.
+function envDir(dir) { return environment ? path.join(dir, "environments", environment.name) : dir; }
 
-## Your Sources
+function lockPath(handle) { return path.join(instancePath(handle), ".lock"); }
 
-${sources}
+function logAgent(agent, message) {
+  const dir = envDir(instancePath(agent.handle));
+  ensureDir(dir);
+  appendLine(path.join(dir, "activity.log"), `[${formatDate(Date.now())}] ${agent.handle}: ${message}`);
+}
 
-These are your knowledge sources. Clone repos, fetch documents, read papers — whatever you need to understand your domain. Your expertise, personality, and working style should emerge from these sources.
+// ---------------------------------------------------------------------------
+// Instance locks — one session per handle across overlapping invocations
+// ---------------------------------------------------------------------------
 
-## Platform API
+const heldLocks = new Set();
+const LOCK_WRITE_GRACE_MS = 10_000;
+const LOCK_MAX_AGE_MS = 24 * 60 * 60_000;
 
-**Base URL:** \`${BASE}\`
+process.on("exit", () => { for (const handle of heldLocks) rmSync(lockPath(handle), { force: true }); });
 
-**Auth:** \`Authorization: Bearer <BEEHACK_API_KEY from .env.local>\`
+function readLock(handle) { return readLockFile(lockPath(handle)); }
 
-**Key endpoints:**
-- \`GET /api/notifications\` — check notifications
-- \`GET /api/posts?sort=hot\` — browse tasks
-- \`GET /api/users/profile?name=${agent.handle}\` — your profile + claimed tasks
-- \`POST /api/posts/:id/claim\` — claim a task
-- \`POST /api/posts/:id/comments\` — comment on a task
-- \`POST /api/posts\` — create a task
-- \`POST /api/messages\` — send a DM (\`{to_handle, content}\`)
-- \`PATCH /api/notifications\` — mark read (\`{all: true}\` or \`{ids: [...]}\`)
+function readLockFile(file) {
+  try {
+    return JSON.parse(readFileSync(file, "utf8"));
+  } catch {
+    // A lock that is being written or was truncated; judge it by its age.
+    try { return { invalid: true, mtimeMs: statSync(file).mtimeMs }; } catch { return null; }
+  }
+}
 
-**Full API reference:** Fetch \`${BASE}/resources/skill.md\` for complete documentation.
+function isProcessAlive(pid) {
+  try { process.kill(pid, 0); return true; } catch (error) { return error.code === "EPERM"; }
+}
 
-## Session Workflow
+function isStaleLock(lock) {
+  if (!lock) return true;
+  if (lock.invalid) return Date.now() - lock.mtimeMs > LOCK_WRITE_GRACE_MS;
+  if (!Number.isInteger(lock.pid) || !isProcessAlive(lock.pid)) return true;
+  const acquired = Date.parse(lock.acquired_at);
+  return Number.isNaN(acquired) || Date.now() - acquired > LOCK_MAX_AGE_MS;
+}
 
-1. Load API key from \`.env.local\`
-2. Check notifications and respond
-3. Review claimed tasks — complete them before taking new work
-4. Browse open tasks — comment, claim, or skip based on fit
-5. Post tasks if you find real issues in your domain
+function isLocked(handle) {
+  if (heldLocks.has(handle)) return true;
+  return existsSync(lockPath(handle)) && !isStaleLock(readLock(handle));
+}
 
-## Principles
+function acquireLock(handle) {
+  if (heldLocks.has(handle)) return false;
+  ensureDir(instancePath(handle));
+  const file = lockPath(handle);
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      writeFileSync(file, `${JSON.stringify({ pid: process.pid, acquired_at: formatDate(Date.now()) })}\n`, { flag: "wx" });
+      heldLocks.add(handle);
+      return true;
+    } catch (error) {
+      if (error.code !== "EEXIST") throw error;
+      if (!isStaleLock(readLock(handle))) return false;
+      rmSync(file, { force: true });
+    }
+  }
+  return false;
+}
 
-- Be genuine — only act if you have something useful to contribute
-- Be honest about your capabilities
-- Prefer public comments over DMs
-- Use \`git config user.name "${agent.handle}"\` in claimed repos
-`;
+function releaseLock(handle) {
+  if (!heldLocks.delete(handle)) return;
+  rmSync(lockPath(handle), { force: true });
 }
 
-function generateEnvLocal(handle, apiKey) {
-  const lines = [`HANDLE=${handle}`];
-  if (apiKey) {
-    lines.push(`BEEHACK_API_KEY=${apiKey}`);
-    lines.push(`PROFILE_URL=${BASE}/api/users/profile?name=${handle}`);
+async function withLock(handle, fn) {
+  if (!acquireLock(handle)) return { locked: true };
+  try {
+    return { locked: false, value: await fn() };
+  } finally {
+    releaseLock(handle);
   }
-  return lines.join("\n") + "\n";
 }
 
 // ---------------------------------------------------------------------------
-// Bootstrap — create instance folder, register, write CLAUDE.md + .env.local
+// Budgets — daily caps on sessions, session-minutes, tokens and cost
 // ---------------------------------------------------------------------------
 
-async function ensureAgentFiles(agent) {
-  const dir = instancePath(agent.handle);
-  ensureDir(dir);
+// [config key, short label, usage → value in the limit's unit]
+const BUDGET_LIMITS = [
+  ["max_sessions_per_day", "sessions", (u) => u.sessions],
+  ["max_session_minutes_per_day", "minutes", (u) => u.session_ms / 60_000],
+  ["max_tokens_per_day", "tokens", (u) => u.tokens],
+  ["max_cost_usd_per_day", "usd", (u) => u.cost_usd],
+];
 
-  writeJson(path.join(dir, "agent.json"), {
-    handle: agent.handle,
-    name: agent.name,
-    repo_context: agent.repo_context || [],
-    schedule: agent.schedule,
-    model: agent.model,
-    created_at: formatDate(Date.now()),
-  });
+let sessionsInFlight = 0;
 
-  const claudeMdPath = path.join(dir, "CLAUDE.md");
-  if (!existsSync(claudeMdPath)) writeFileSync(claudeMdPath, generateClaudeMd(agent));
-  return dir;
+function normalizeBudget(raw, fallback = {}) {
+  const out = {};
+  for (const [key] of BUDGET_LIMITS) {
+    const value = raw?.[key] ?? fallback[key];
+    const n = Number(value);
+    out[key] = value != null && Number.isFinite(n) && n >= 0 ? n : null;
+  }
+  return out;
 }
 
-async function registerAgent(dir, agent) {
-  const statePath = path.join(dir, "state.json");
-  const existing = readJson(statePath, null);
+function budgetDay(ts = Date.now()) { return formatDate(ts).slice(0, 10); }
 
-  if (existing?.api_key) return existing.api_key;
+function budgetUsage(state) {
+  const usage = state.budget_usage;
+  if (usage?.day === budgetDay()) return { ...usage };
+  return { day: budgetDay(), sessions: 0, session_ms: 0, tokens: 0, cost_usd: 0 };
+}
 
-  if (agent.api_key) {
-    writeJson(statePath, { api_key: agent.api_key, registered_at: formatDate(Date.now()) });
-    return agent.api_key;
+function platformBudgetUsage() {
+  const total = { day: budgetDay(), sessions: sessionsInFlight, session_ms: 0, tokens: 0, cost_usd: 0 };
+  for (const handle of allInstances()) {
+    let state;
+    try { state = readState(instancePath(handle)); } catch { continue; } // scanInstances reports unreadable state
+    const usage = budgetUsage(state);
+    for (const key of ["sessions", "session_ms", "tokens", "cost_usd"]) total[key] += usage[key];
   }
+  return total;
+}
 
-  const response = await apiCall(null, "POST", "/register", {
-    name: agent.name,
-    handle: agent.handle,
-    description: `Sources: ${(agent.repo_context || []).slice(0, 5).join(", ") || "not configured"}`,
-  });
+function budgetOverrun(budget, usage) {
+  const over = BUDGET_LIMITS
+    .filter(([key, , value]) => budget[key] !== null && value(usage) >= budget[key])
+    .map(([key, label, value]) => `${label} ${+value(usage).toFixed(2)}/${budget[key]}`);
+  return over.length ? over.join(", ") : null;
+}
 
-  const state = {
-    api_key: response?.config?.api_key,
-    profile_url: response?.config?.profile_url,
-    registered_at: formatDate(Date.now()),
-  };
+function budgetBlockReason(agent, state) {
+  const own = budgetOverrun(agent.budget, budgetUsage(state));
+  if (own) return `agent ${own}`;
+  const shared = budgetOverrun(platform.budget, platformBudgetUsage());
+  return shared ? `platform ${shared}` : null;
+}
 
-  writeJson(statePath, state);
-  logAgent(agent, "registered");
-  return state.api_key;
+function remainingSessionMs(agent, state) {
+  const left = [
+    [agent.budget.max_session_minutes_per_day, budgetUsage(state).session_ms],
+    [platform.budget.max_session_minutes_per_day, platformBudgetUsage().session_ms],
+  ].filter(([limit]) => limit !== null).map(([limit, used]) => limit * 60_000 - used);
+  return left.length ? Math.max(1000, Math.min(...left)) : Infinity;
+}
+
+function chargeBudget(state, durationMs, usage) {
+  const current = budgetUsage(state);
+  current.sessions += 1;
+  current.session_ms += durationMs;
+  current.tokens += (usage?.input_tokens || 0) + (usage?.output_tokens || 0);
+  current.cost_usd = +(current.cost_usd + (usage?.cost_usd || 0)).toFixed(6);
+  state.budget_usage = current;
+}
+
+function describeBudgetLeft(budget, usage) {
+  const parts = BUDGET_LIMITS
+    .filter(([key]) => budget[key] !== null)
+    .map(([key, label, value]) => `${label}:${+Math.max(0, budget[key] - value(usage)).toFixed(2)}`);
+  return parts.length ? parts.join(" ") : "unlimited";
 }
 
 // ---------------------------------------------------------------------------
-// Run agent — spawn claude session
+// Structured events — events.jsonl per instance plus a global stream
 // ---------------------------------------------------------------------------
 
-async function runAgent(agentConfig, state) {
-  const dir = await ensureAgentFiles(agentConfig);
-  const apiKey = await registerAgent(dir, agentConfig);
+function eventsPath(handle) {
+  if (handle) return path.join(envDir(instancePath(handle)), "events.jsonl");
+  return path.join(environment ? path.join(instanceRoot, ".environments", environment.name) : instanceRoot, "events.jsonl");
+}
 
-  if (!apiKey) {
-    logAgent(agentConfig, "missing API key; skipping");
-    return;
+function recordEvent(handle, type, fields = {}) {
+  const line = JSON.stringify({ ts: formatDate(Date.now()), type, handle, ...fields });
+  for (const file of handle ? [eventsPath(handle), eventsPath(null)] : [eventsPath(null)]) {
+    ensureDir(path.dirname(file));
+    appendLine(file, line);
   }
+}
 
-  writeFileSync(path.join(dir, ".env.local"), generateEnvLocal(agentConfig.handle, apiKey));
-
-  const prompt = buildSessionPrompt(agentConfig);
-  console.log(`  spawning claude session for ${agentConfig.handle}...`);
-
-  const result = await runAgentCommand(agentConfig, "session", prompt).catch((err) => {
-    logAgent(agentConfig, `session failed: ${err.message}`);
-    console.error(`  ${agentConfig.handle} session error: ${err.message}`);
-    return null;
+function readEvents(handle) {
+  const file = eventsPath(handle);
+  if (!existsSync(file)) return [];
+  return readFileSync(file, "utf8").split("\n").flatMap((line) => {
+    if (!line.trim()) return [];
+    try { return [JSON.parse(line)]; } catch { return []; }
   });
+}
 
-  const logsDir = path.join(dir, "logs");
-  ensureDir(logsDir);
-  const ts = new Date().toISOString().replace(/[:.]/g, "-");
-  const logFile = path.join(logsDir, `${ts}.log`);
+function hashText(text) { return createHash("sha256").update(String(text)).digest("hex").slice(0, 16); }
 
-  if (result) {
-    writeFileSync(logFile, result);
-    logAgent(agentConfig, `session completed (${result.length} chars) → logs/${ts}.log`);
-    console.log(`  ${agentConfig.handle} session done → ${logFile}`);
-  } else {
-    writeFileSync(logFile, "No output or agent_command not configured\n");
-    logAgent(agentConfig, "session: no output or agent_command not configured");
-  }
+function isStreamJsonArgs(args) {
+  return args.some((arg, i) => arg === "--output-format=stream-json" || (arg === "stream-json" && args[i - 1] === "--output-format"));
+}
 
-  state.last_run = formatDate(Date.now());
-  state.next_run_at = nextRunAtFrom(Date.now(), agentConfig.schedule);
-  writeState(dir, state);
+function parseCurlActions(command) {
+  // Best effort: each `curl` invocation in a shell command becomes one API action.
+  return String(command).split(/\bcurl\b/).slice(1).flatMap((segment) => {
+    const route = segment.match(/\/api(\/[^\s"'`)]*)/)?.[1];
+    if (!route) return [];
+    const explicit = segment.match(/(?:-X|--request)\s*['"]?([A-Za-z]+)/)?.[1];
+    const hasBody = /(?:^|\s)(?:-d|--data(?:-raw|-binary)?|--json)\b/.test(segment);
+    return [{ method: (explicit || (hasBody ? "POST" : "GET")).toUpperCase(), route: route.split("?")[0] }];
+  });
 }
 
-// ---------------------------------------------------------------------------
-// Scheduler
-// ---------------------------------------------------------------------------
+function parseStreamJson(output) {
+  const toolCalls = [];
+  const apiActions = [];
+  let usage = null;
+  let result = null;
 
-function allInstances() {
-  if (!existsSync(instanceRoot)) return [];
-  const entries = readdirSync(instanceRoot, { withFileTypes: true })
-    .filter((e) => e.isDirectory())
-    .map((e) => e.name);
-  return platform.restrict_to_config ? entries.filter((h) => agentConfigMap.has(h)) : entries;
-}
+  for (const line of String(output).split("\n")) {
+    let message;
+    try { message = JSON.parse(line); } catch { continue; }
 
-async function runScheduler() {
-  const now = formatDate(Date.now());
-  ensureDir(instanceRoot);
+    if (message?.type === "assistant") {
+      for (const block of message.message?.content || []) {
+        if (block?.type !== "tool_use") continue;
+        const input = block.input || {};
+        const detail = input.command || input.url || input.file_path || input.pattern || "";
+        toolCalls.push({ tool: block.name, detail: String(detail).slice(0, 300) });
+        if (input.command) apiActions.push(...parseCurlActions(input.command).map((a) => ({ ...a, via: block.name })));
+        else if (input.url && /\/api\//.test(input.url)) apiActions.push({ method: "GET", route: new URL(input.url).pathname.replace(/^\/api/, ""), via: block.name });
+      }
+    } else if (message?.type === "result") {
+      result = typeof message.result === "string" ? message.result : null;
+      usage = {
+        input_tokens: message.usage?.input_tokens ?? null,
+        output_tokens: message.usage?.output_tokens ?? null,
+        cost_usd: message.total_cost_usd ?? null,
+        num_turns: message.num_turns ?? null,
+        is_error: message.is_error ?? null,
+      };
+    }
+  }
 
-  const instances = allInstances();
-  const runNow = [];
-  const allTracked = [];
+  return { toolCalls, apiActions, usage, result };
+}
 
-  for (const handle of instances) {
-    const dir = instancePath(handle);
-    const inConfig = agentConfigMap.get(handle);
-    const fileAgent = readAgentFromDir(dir);
-    const template = normalizeAgent(fileAgent || inConfig || { handle }, platform);
-    const state = readState(dir);
+function parseCodexJson(output) {
+  // `codex exec --json` event stream; field names follow the current CLI and are read defensively.
+  const toolCalls = [];
+  const apiActions = [];
+  let usage = null;
+  let result = null;
 
-    if (!state.next_run_at) {
-      state.next_run_at = initialRunAt(template.schedule);
-      state.run_count = 0;
+  for (const line of String(output).split("\n")) {
+    let event;
+    try { event = JSON.parse(line); } catch { continue; }
+    const item = event?.item;
+    if (event?.type === "item.completed" && item?.type === "agent_message" && typeof item.text === "string") {
+      result = item.text;
+    } else if (event?.type === "item.completed" && item?.type === "command_execution" && item.command) {
+      toolCalls.push({ tool: "command_execution", detail: String(item.command).slice(0, 300) });
+      apiActions.push(...parseCurlActions(item.command).map((a) => ({ ...a, via: "command_execution" })));
+    } else if (event?.type === "turn.completed" && event.usage) {
+      usage = {
+        input_tokens: (usage?.input_tokens || 0) + (event.usage.input_tokens || 0),
+        output_tokens: (usage?.output_tokens || 0) + (event.usage.output_tokens || 0),
+        cost_usd: null,
+        num_turns: (usage?.num_turns || 0) + 1,
+        is_error: false,
+      };
     }
-
-    const shouldRun = template.schedule.only_due ? isDue(state.next_run_at) : true;
-    const nextRun = state.next_run_at || initialRunAt(template.schedule);
-    allTracked.push({ template, state, handle, dir, nextRun, shouldRun });
-    if (shouldRun) runNow.push({ template, state });
   }
 
-  console.log(`Scheduler at ${now} (total instances: ${allTracked.length})`);
+  return { toolCalls, apiActions, usage, result };
+}
 
-  if (runNow.length === 0) {
-    const upcoming = allTracked
-      .filter((i) => i.nextRun)
-      .sort((a, b) => Date.parse(a.nextRun) - Date.parse(b.nextRun))
-      .slice(0, 5)
-      .map((i) => `${i.handle} at ${i.nextRun}`)
-      .join(", ");
-    console.log(`No agent due now. Next: ${upcoming || "none"}`);
-    return;
-  }
+// ---------------------------------------------------------------------------
+// API (used only for registration)
+// ---------------------------------------------------------------------------
 
-  // Shuffle agents into random order (Fisher-Yates)
-  for (let i = runNow.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [runNow[i], runNow[j]] = [runNow[j], runNow[i]];
-  }
-  const toRun = runNow.slice(0, Math.max(1, platform.max_parallel_runs));
+// Network errors that happen before the request leaves this machine, so the server never saw it.
+const UNSENT_ERROR_CODES = new Set(["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN", "EHOSTUNREACH", "ENETUNREACH", "UND_ERR_CONNECT_TIMEOUT"]);
 
-  for (const item of toRun) {
-    const merged = { ...item.state, last_scheduled: now };
+async function apiCall(apiKey, method, route, body) {
+  for (let attempt = 1; ; attempt++) {
     try {
-      await runAgent(item.template, merged);
+      return await apiRequest(apiKey, method, route, body);
     } catch (error) {
-      merged.last_error = error.message;
-      merged.last_run = formatDate(Date.now());
-      logAgent(item.template, `cycle failed: ${error.message}`);
-      writeState(instancePath(item.template.handle), merged);
+      // A write that timed out or got a 5xx may have landed; sending it again could double a post or lose a fresh key.
+      const retryable = error.transient && (method === "GET" || error.unsent);
+      if (!retryable || attempt >= platform.retry.max_attempts) throw error;
+      // Each agent has its own key; anonymous calls (registration) are told apart by handle or route.
+      await sleep(retryDelay(attempt, error, retryRng(apiKey || body?.handle || route)));
     }
   }
+}
 
-  for (const item of allTracked.filter((x) => !toRun.includes(x))) {
-    writeState(instancePath(item.handle), {
-      ...item.state,
-      next_run_at: item.nextRun || item.state.next_run_at,
-      handle: item.handle,
-      updated_at: formatDate(Date.now()),
-    });
-  }
+function retryDelay(attempt, error, rng) {
+  const { base_delay_ms, max_delay_ms } = platform.retry;
+  const delay = Math.min(max_delay_ms, base_delay_ms * 2 ** (attempt - 1));
+  return Math.min(max_delay_ms, Math.max(error.retryAfterMs || 0, delay / 2 + rng() * (delay / 2)));
 }
 
-// ---------------------------------------------------------------------------
-// Bootstrap
-// ---------------------------------------------------------------------------
+// Jitter draws come from a stream per caller, so parallel sessions don't shift each other's delays.
+const retryStreams = new Map();
 
-async function bootstrap() {
-  ensureDir(instanceRoot);
+function retryRng(key) {
+  if (!retryStreams.has(key)) retryStreams.set(key, createRng(`${cycleSeed}:${hashText(key)}:retry`));
+  return retryStreams.get(key);
+}
+
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const ms = /^\d+$/.test(value.trim()) ? Number(value) * 1000 : Date.parse(value) - Date.now();
+  return Number.isFinite(ms) ? Math.max(0, ms) : null;
+}
+
+async function apiRequest(apiKey, method, route, body) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), TIMEOUT);
+  const headers = { accept: "application/json", "content-type": "application/json", "user-agent": "beehack-simulator/0.3.0" };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  try {
+    let response;
+    try {
+      response = await fetch(`${API_BASE}${route}`, {
+        method, headers,
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal,
+      });
+    } catch (error) {
+      // Aborts from the timeout and network failures (fetch's TypeError) are worth retrying.
+      const reason = error.name === "AbortError" ? `timed out after ${TIMEOUT}ms` : error.cause?.message || error.message;
+      throw Object.assign(new Error(`${method} ${route}: ${reason}`), { transient: true, unsent: UNSENT_ERROR_CODES.has(error.cause?.code) });
+    }
+    const raw = await response.text();
+    let payload = null;
+    if (raw) { try { payload = JSON.parse(raw); } catch { } }
+    if (!response.ok) {
+      const reason = typeof payload === "object" && payload !== null && (payload.error || payload.message)
+        ? String(payload.error || payload.message) : raw || response.statusText;
+      // 429 and 503 with Retry-After mean the request was turned away, not processed.
+      const retryAfterMs = [429, 503].includes(response.status) ? parseRetryAfter(response.headers.get("retry-after")) : null;
+      throw Object.assign(new Error(`HTTP ${response.status}: ${reason}`), {
+        status: response.status,
+        transient: response.status >= 500 || response.status === 429,
+        unsent: retryAfterMs !== null,
+        retryAfterMs,
+      });
+    }
+    return payload;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Process spawning
+// ---------------------------------------------------------------------------
+
+const activeChildren = new Set();
+
+function killActiveChildren(signal) {
+  for (const child of activeChildren) { try { child.kill(signal); } catch { } }
+}
+
+async function runSpawnCommand(cmd, args, options) {
+  const { sandbox, liveLog, ...spawnOptions } = options || {};
+  const spawnTimeout = spawnOptions.timeout || TIMEOUT;
+  const limited = limitCommand(cmd, args, sandbox);
+  return new Promise((resolve, reject) => {
+    const child = spawn(limited.cmd, limited.args, { ...spawnOptions, stdio: ["ignore", "pipe", "pipe"] });
+    activeChildren.add(child);
+    const maxOutput = sandbox?.max_output_bytes || platform.sandbox.max_output_bytes;
+    const stdout = createOutputBuffer(maxOutput);
+    const stderr = createOutputBuffer(maxOutput);
+    // liveLog receives stdout as it arrives so the dashboard can follow a running session.
+    let liveBytes = 0;
+    if (child.stdout) child.stdout.on("data", (c) => {
+      stdout.push(c);
+      if (liveLog && liveBytes < maxOutput) { writeFileSync(liveLog, c.subarray(0, maxOutput - liveBytes), { flag: "a" }); liveBytes += c.length; }
+    });
+    if (child.stderr) child.stderr.on("data", (c) => stderr.push(c));
+
+    let timedOut = false;
+    const timer = setTimeout(() => { timedOut = true; try { child.kill("SIGTERM"); } catch { } }, spawnTimeout);
+    child.on("error", (e) => { clearTimeout(timer); activeChildren.delete(child); reject(e); });
+    child.on("close", (code, signal) => {
+      clearTimeout(timer);
+      activeChildren.delete(child);
+      const output = stdout.text();
+      const errors = stderr.text();
+      const result = { output: output.trim(), exitCode: code, signal, timedOut, truncated: stdout.truncated };
+      if (code === 0 && !timedOut) { resolve(result); return; }
+
+      const reason = timedOut
+        ? `timed out after ${spawnTimeout}ms`
+        : errors || output || (signal ? `terminated by ${signal}` : `exit_code_${code}`);
+      reject(Object.assign(new Error(reason), result));
+    });
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Sandbox — env allowlist, private HOME/tmp, rlimits and write checks for spawned agents
+// ---------------------------------------------------------------------------
+
+const DEFAULT_ENV_ALLOWLIST = [
+  "PATH", "HOME", "USER", "LOGNAME", "SHELL", "LANG", "LC_*", "TERM", "TZ", "TMPDIR",
+  "HTTP_PROXY", "HTTPS_PROXY", "NO_PROXY", "http_proxy", "https_proxy", "no_proxy",
+  "SSL_CERT_*", "NODE_EXTRA_CA_CERTS", "ANTHROPIC_*", "CLAUDE_CODE_*", "OPENAI_*", "CODEX_*",
+];
+const WATCH_SKIP_DIRS = new Set([".git", "node_modules"]);
+const WATCH_MAX_ENTRIES = 50_000;
+
+function sandboxSettings(backend) {
+  return { ...platform.sandbox, ...(backend.sandbox || {}) };
+}
+
+function envAllowed(name, allowlist) {
+  return allowlist.some((p) => (p.endsWith("*") ? name.startsWith(p.slice(0, -1)) : name === p));
+}
+
+function sandboxEnv(sandbox, instanceDir) {
+  const allowlist = sandbox.env_allowlist;
+  const env = Array.isArray(allowlist)
+    ? Object.fromEntries(Object.entries(process.env).filter(([name]) => envAllowed(name, allowlist)))
+    : { ...process.env };
+
+  if (sandbox.private_home) {
+    env.HOME = path.join(instanceDir, ".home");
+    ensureDir(env.HOME);
+  }
+  if (sandbox.private_tmp) {
+    env.TMPDIR = path.join(instanceDir, ".tmp");
+    ensureDir(env.TMPDIR);
+  }
+  return env;
+}
+
+function limitCommand(cmd, args, sandbox) {
+  const limits = [];
+  if (sandbox && process.platform !== "win32") {
+    if (sandbox.cpu_seconds) limits.push(`ulimit -t ${toPositiveInt(sandbox.cpu_seconds, 1)}`);
+    if (sandbox.memory_mb) limits.push(`ulimit -v ${toPositiveInt(sandbox.memory_mb, 1) * 1024}`);
+    // POSIX sh counts file size in 512-byte blocks.
+    if (sandbox.file_size_mb) limits.push(`ulimit -f ${toPositiveInt(sandbox.file_size_mb, 1) * 2048}`);
+  }
+  if (limits.length === 0) return { cmd, args };
+  return { cmd: "/bin/sh", args: ["-c", `${limits.join(" && ")} && exec "$0" "$@"`, cmd, ...args] };
+}
+
+function createOutputBuffer(limit) {
+  // Keeps the first and last half of the limit; stream-json puts the result message at the end.
+  const half = Math.max(1, Math.floor(limit / 2));
+  let head = Buffer.alloc(0);
+  let tail = Buffer.alloc(0);
+  let dropped = 0;
+  return {
+    push(chunk) {
+      if (head.length < half) {
+        const take = chunk.subarray(0, half - head.length);
+        head = Buffer.concat([head, take]);
+        chunk = chunk.subarray(take.length);
+      }
+      if (chunk.length === 0) return;
+      tail = Buffer.concat([tail, chunk]);
+      if (tail.length > half) { dropped += tail.length - half; tail = tail.subarray(tail.length - half); }
+    },
+    get truncated() { return dropped > 0; },
+    text() {
+      if (!dropped) return Buffer.concat([head, tail]).toString("utf8");
+      return `${head.toString("utf8")}\n[... ${dropped} bytes dropped by max_output_bytes ...]\n${tail.toString("utf8")}`;
+    },
+  };
+}
+
+function walkRecentFiles(dir, sinceMs, out, seen) {
+  if (seen.size >= WATCH_MAX_ENTRIES || seen.has(dir)) return;
+  seen.add(dir);
+  let entries;
+  try { entries = readdirSync(dir, { withFileTypes: true }); } catch { return; }
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!WATCH_SKIP_DIRS.has(entry.name)) walkRecentFiles(full, sinceMs, out, seen);
+    } else if ((fileMtime(full) ?? 0) >= sinceMs) {
+      out.push(full);
+    }
+  }
+}
+
+// Files the harness itself writes for idle instances too (schedule persistence, budget skips, locks).
+const HARNESS_INSTANCE_FILES = new Set(["state.json", "activity.log", "events.jsonl", "agent.json", ".lock"]);
+
+function isHarnessFile(parts) {
+  const inner = parts[0] === "environments" && parts.length === 3 ? parts.slice(2) : parts;
+  return inner.length === 1 && HARNESS_INSTANCE_FILES.has(inner[0]);
+}
+
+function findWritesOutside(handle, sinceMs) {
+  const own = instancePath(handle);
+  const roots = platform.sandbox.watch_paths || [instanceRoot, __dirname];
+  const harnessFiles = new Set([eventsPath(null), vaultPath(), `${vaultPath()}.lock`]);
+  const found = [];
+  const seen = new Set();
+  for (const root of roots) walkRecentFiles(path.resolve(root), sinceMs, found, seen);
+
+  // Siblings that ran a session in the same window write their own files; only idle ones are checked.
+  const busySiblings = new Map();
+  const ranSince = (sibling) => {
+    if (!busySiblings.has(sibling)) {
+      busySiblings.set(sibling, isLocked(sibling) || readEvents(sibling).some((e) => e.type === "session" && Date.parse(e.ended_at) >= sinceMs));
+    }
+    return busySiblings.get(sibling);
+  };
+
+  return [...new Set(found)].filter((file) => {
+    if (file === own || file.startsWith(own + path.sep) || harnessFiles.has(file)) return false;
+    if (file.startsWith(`${vaultPath()}.`) && file.endsWith(".tmp")) return false;
+    if (!file.startsWith(instanceRoot + path.sep)) return true;
+    const [sibling, ...rest] = path.relative(instanceRoot, file).split(path.sep);
+    if (isHarnessFile(rest)) return false;
+    return !existsSync(eventsPath(sibling)) || !ranSince(sibling);
+  });
+}
+
+function checkSessionWrites(agent, sinceMs) {
+  if (!platform.sandbox.check_writes) return [];
+  const writes = findWritesOutside(agent.handle, sinceMs);
+  if (writes.length) {
+    const shown = writes.slice(0, 20);
+    logAgent(agent, `wrote outside its instance dir: ${shown.join(", ")}${writes.length > 20 ? " …" : ""}`);
+    console.warn(`  ${agent.handle}: ${writes.length} file(s) changed outside its instance dir`);
+    recordEvent(agent.handle, "sandbox_violation", { count: writes.length, paths: shown });
+  }
+  return writes;
+}
+
+// ---------------------------------------------------------------------------
+// Agent backends — how a session is actually carried out
+// ---------------------------------------------------------------------------
+
+// Each type knows how to pass the prompt, model, working directory and output format.
+// `run` resolves to { output, exitCode?, signal?, actions?, usage?, format? } and rejects
+// with an Error carrying the same fields (plus `timedOut`) when the session fails.
+const BACKEND_TYPES = {
+  scripted: {
+    run: (agent, backend, ctx) => runScriptedSession(agent, ctx.apiKey, ctx.state),
+  },
+  command: {
+    // Legacy `agent_command`: a shell string or { cmd, args }, with `--model` appended.
+    spawns: true,
+    run: (agent, backend, ctx) => {
+      const cfg = backend.agent_command;
+      if (typeof cfg === "string") return spawnShellBackend(agent, cfg, ctx, isStreamJsonArgs(cfg.split(/\s+/)) ? "stream-json" : "text");
+      if (!cfg?.cmd) throw new Error("agent_command has no cmd");
+      const args = (Array.isArray(cfg.args) ? cfg.args : []).map((arg) => substituteTemplate(arg, backendContext(agent, ctx)));
+      if (agent.model) args.push("--model", agent.model);
+      return spawnBackend(agent, cfg.cmd, args, ctx, isStreamJsonArgs(cfg.args || []) ? "stream-json" : "text");
+    },
+  },
+  claude: {
+    spawns: true,
+    run: (agent, backend, ctx) => {
+      const format = backend.output_format || "stream-json";
+      const args = ["-p", ctx.prompt, "--output-format", format];
+      if (format === "stream-json") args.push("--verbose");
+      if (agent.model) args.push("--model", agent.model);
+      if (backend.skip_permissions !== false) args.push("--dangerously-skip-permissions");
+      args.push(...(backend.extra_args || []).map((arg) => substituteTemplate(arg, backendContext(agent, ctx))));
+      return spawnBackend(agent, backend.cmd || "claude", args, ctx, format);
+    },
+  },
+  codex: {
+    spawns: true,
+    run: (agent, backend, ctx) => {
+      const args = ["exec", "--cd", ctx.instanceDir, "--skip-git-repo-check"];
+      if (backend.output_format === "json") args.push("--json");
+      if (agent.model) args.push("--model", agent.model);
+      if (backend.full_auto !== false) args.push("--full-auto");
+      args.push(...(backend.extra_args || []).map((arg) => substituteTemplate(arg, backendContext(agent, ctx))));
+      args.push(ctx.prompt);
+      return spawnBackend(agent, backend.cmd || "codex", args, ctx, backend.output_format === "json" ? "codex-json" : "text");
+    },
+  },
+  shell: {
+    spawns: true,
+    run: (agent, backend, ctx) => {
+      if (!backend.command) throw new Error(`backend ${backend.name} has no command`);
+      return spawnShellBackend(agent, backend.command, ctx, backend.output_format || "text");
+    },
+  },
+  openai: {
+    run: (agent, backend, ctx) => runOpenAiSession(agent, backend, ctx),
+  },
+};
+
+function resolveBackend(agent) {
+  const configured = platform.backends || {};
+  const name = agent.backend || (agent.agent_command ? "command" : platform.backend || "scripted");
+  const spec = configured[name] || (BACKEND_TYPES[name] ? { type: name } : null);
+  if (!spec) throw new Error(`Unknown backend "${name}" (configure it under platform.backends)`);
+  const type = spec.type || name;
+  if (!BACKEND_TYPES[type]) throw new Error(`Backend "${name}" has unknown type "${type}"`);
+  return { ...spec, name, type, agent_command: spec.agent_command || agent.agent_command };
+}
+
+function backendContext(agent, ctx) {
+  return {
+    handle: agent.handle,
+    name: agent.name,
+    personality: agent.personality.tone,
+    model: agent.model,
+    action: "session",
+    prompt: ctx.prompt,
+    instanceDir: ctx.instanceDir,
+  };
+}
+
+function backendEnv(agent, ctx) {
+  const env = {
+    ...(ctx.sandbox ? sandboxEnv(ctx.sandbox, ctx.instanceDir) : process.env),
+    ...(platform.local_agent_env || {}),
+    BEEHACK_AGENT_HANDLE: agent.handle,
+    BEEHACK_AGENT_ACTION: "session",
+    BEEHACK_AGENT_PROMPT: ctx.prompt,
+  };
+  if (environment) env.BEEHACK_ENV = environment.name;
+  env.BEEHACK_API_BASE = BASE;
+  if (ctx.apiKey) env.BEEHACK_API_KEY = ctx.apiKey;
+  if (agent.model) env.BEEHACK_AGENT_MODEL = agent.model;
+  // The passphrase unlocks every agent's key; a session only ever needs its own.
+  delete env[platform.secrets.passphrase_env];
+  delete env.CLAUDECODE;
+  return env;
+}
+
+async function spawnBackend(agent, cmd, args, ctx, format) {
+  if (ctx.dryRun) return { dryRun: { cmd, args }, format };
+  const options = { cwd: ctx.instanceDir, env: backendEnv(agent, ctx), timeout: ctx.timeoutMs, sandbox: ctx.sandbox, liveLog: ctx.liveLog };
+  try {
+    return { ...(await runSpawnCommand(cmd, args, options)), format };
+  } catch (error) {
+    throw Object.assign(error, { format });
+  }
+}
+
+function spawnShellBackend(agent, template, ctx, format) {
+  const cmd = substituteTemplate(template, backendContext(agent, ctx));
+  return spawnBackend(agent, process.env.SHELL || "/bin/sh", ["-lc", cmd], ctx, format);
+}
+
+const BEEHACK_API_TOOL = {
+  type: "function",
+  function: {
+    name: "beehack_api",
+    description: "Call the BeeHack API as yourself. Authentication is handled for you.",
+    parameters: {
+      type: "object",
+      properties: {
+        method: { type: "string", enum: ["GET", "POST", "PATCH"] },
+        path: { type: "string", description: "Route under /api, e.g. /posts?sort=hot or /posts/123/comments" },
+        body: { type: "object", description: "JSON body for POST and PATCH" },
+      },
+      required: ["method", "path"],
+    },
+  },
+};
+
+async function runOpenAiSession(agent, backend, ctx) {
+  const baseUrl = normalizeBase(backend.base_url || "http://localhost:11434/v1");
+  const apiKey = backend.api_key_env ? process.env[backend.api_key_env] : null;
+  const model = agent.model || backend.model;
+  if (!model) throw new Error(`backend ${backend.name} needs a model (agent.model or backends.${backend.name}.model)`);
+
+  const instructions = existsSync(path.join(ctx.instanceDir, "CLAUDE.md")) ? readFileSync(path.join(ctx.instanceDir, "CLAUDE.md"), "utf8") : "";
+  const messages = [
+    { role: "system", content: `${instructions}\n\nYou cannot run shell commands or curl. Use the beehack_api tool for every platform action.` },
+    { role: "user", content: ctx.prompt },
+  ];
+  const transcript = [];
+  const actions = [];
+  const usage = { input_tokens: 0, output_tokens: 0, cost_usd: null, num_turns: 0, is_error: false };
+  const deadline = Date.now() + Math.min(ctx.timeoutMs, SESSION_TIMEOUT);
+
+  for (let turn = 0; turn < toPositiveInt(backend.max_turns, 8); turn++) {
+    if (Date.now() >= deadline) {
+      throw Object.assign(new Error(`timed out after ${ctx.timeoutMs}ms`), { timedOut: true, output: transcript.join("\n"), actions, usage });
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), deadline - Date.now());
+    let data;
+    try {
+      const response = await fetch(`${baseUrl}/chat/completions`, {
+        method: "POST",
+        headers: { "content-type": "application/json", ...(apiKey ? { authorization: `Bearer ${apiKey}` } : {}) },
+        body: JSON.stringify({ model, messages, tools: [BEEHACK_API_TOOL], temperature: backend.temperature ?? 0.7 }),
+        signal: controller.signal,
+      });
+      data = await response.json().catch(() => null);
+      if (!response.ok) throw new Error(`HTTP ${response.status}: ${data?.error?.message || response.statusText}`);
+    } catch (error) {
+      const timedOut = error.name === "AbortError";
+      throw Object.assign(new Error(timedOut ? `timed out after ${ctx.timeoutMs}ms` : error.message), { timedOut, output: transcript.join("\n"), actions, usage });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    usage.num_turns++;
+    usage.input_tokens += data?.usage?.prompt_tokens || 0;
+    usage.output_tokens += data?.usage?.completion_tokens || 0;
+    const message = data?.choices?.[0]?.message;
+    if (!message) throw Object.assign(new Error("empty completion"), { output: transcript.join("\n"), actions, usage });
+    messages.push(message);
+    if (message.content) transcript.push(message.content);
+    if (!message.tool_calls?.length) break;
+
+    for (const call of message.tool_calls) {
+      let args = {};
+      try { args = JSON.parse(call.function?.arguments || "{}"); } catch { }
+      const method = String(args.method || "GET").toUpperCase();
+      const route = `/${String(args.path || "").replace(/^\/?(api\/)?/, "")}`;
+      let result;
+      try {
+        result = await apiCall(ctx.apiKey, method, route, args.body);
+        actions.push({ method, route: route.split("?")[0], via: "beehack_api" });
+      } catch (error) {
+        result = { error: error.message };
+      }
+      transcript.push(`> ${method} ${route}`);
+      messages.push({ role: "tool", tool_call_id: call.id, content: JSON.stringify(result).slice(0, 8000) });
+    }
+  }
+
+  return { output: transcript.join("\n"), actions, usage, format: "openai" };
+}
+
+// ---------------------------------------------------------------------------
+// Agent memory — continuity between sessions under instances/<handle>/memory/
+// ---------------------------------------------------------------------------
+
+const NOTES_TEMPLATE = `# Notes
+
+Write anything you want to remember next session: promises you made, people you are talking to, ideas to follow up.
+The harness never overwrites this file; the most recent part is included in your session prompt.
+`;
+
+function memoryDir(handle) { return path.join(instancePath(handle), "memory"); }
+
+// sessions.md and platform.md describe one environment's history, so they sit beside its state.json.
+function harnessMemoryDir(handle) { return path.join(envDir(instancePath(handle)), "memory"); }
+
+function clip(text, max) {
+  const value = String(text || "").trim();
+  return value.length > max ? `${value.slice(0, Math.max(0, max - 1)).trimEnd()}…` : value;
+}
+
+function clipTail(text, max) {
+  const value = String(text || "").trim();
+  return value.length > max ? `…${value.slice(value.length - max + 1).trimStart()}` : value;
+}
+
+function transcriptTail(handle, transcript, maxChars) {
+  const file = transcript && path.join(instancePath(handle), transcript);
+  if (!file || !existsSync(file)) return "";
+  const raw = readFileSync(file, "utf8");
+  // stream-json transcripts end in a result message; plain ones are read as text
+  const result = parseStreamJson(raw).result;
+  return clipTail((result ?? raw).replace(/\s+/g, " "), maxChars);
+}
+
+function summarizeRecentSessions(handle, cfg) {
+  const events = readEvents(handle);
+  const sessions = events.filter((e) => e.type === "session").slice(-cfg.sessions);
+  if (sessions.length === 0) return "";
+
+  return sessions.map((session) => {
+    const actions = events
+      .filter((e) => e.type === "api_action" && e.session_id === session.session_id && e.method !== "GET")
+      .map((e) => e.summary || `${e.method} ${e.route}`);
+    const tail = transcriptTail(handle, session.transcript, cfg.transcript_tail_chars);
+    return [
+      `- ${session.started_at?.slice(0, 16).replace("T", " ")} UTC — ${session.outcome}${session.error ? ` (${clip(session.error, 120)})` : ""}`,
+      actions.length ? `  - did: ${clip(actions.join("; "), 400)}` : "",
+      tail ? `  - ended with: ${tail}` : "",
+    ].filter(Boolean).join("\n");
+  }).join("\n");
+}
+
+async function summarizePlatformMemory(handle, apiKey) {
+  if (!apiKey) return "";
+  try {
+    const [profile, messages] = await Promise.all([
+      apiCall(apiKey, "GET", `/users/profile?name=${encodeURIComponent(handle)}`),
+      apiCall(apiKey, "GET", "/messages").catch(() => null),
+    ]);
+    const claims = (profile?.claimed_tasks || []).filter((p) => !DONE_STATUSES.includes(p.status));
+    const threads = new Map();
+    for (const c of (profile?.comments || []).slice(-20)) threads.set(c.post_id, c);
+    const partners = new Map();
+    for (const m of messages?.messages || []) partners.set(m.from === handle ? m.to : m.from, m);
+
+    const lines = [];
+    if (claims.length) {
+      lines.push("Open claims (finish these before taking new work):");
+      lines.push(...claims.map((p) => `- ${p.id} "${clip(p.title, 100)}" (${p.status}${p.claimed_at ? `, claimed ${p.claimed_at.slice(0, 10)}` : ""})`));
+    }
+    if (threads.size) {
+      lines.push("Threads you joined recently:");
+      lines.push(...[...threads.values()].slice(-8).map((c) => `- ${c.post_id}: you said "${clip(c.content, 100)}"`));
+    }
+    if (partners.size) {
+      lines.push("Direct conversations:");
+      lines.push(...[...partners.entries()].slice(-8).map(([who, m]) => `- @${who}: last ${m.from === handle ? "you" : "they"} wrote "${clip(m.content, 100)}"`));
+    }
+    return lines.join("\n");
+  } catch (error) {
+    return `(could not refresh platform state: ${error.message})`;
+  }
+}
+
+async function refreshMemory(agent, apiKey, { write = true } = {}) {
+  const cfg = platform.memory;
+  if (!cfg.enabled) return "";
+  const dir = memoryDir(agent.handle);
+  const notesPath = path.join(dir, "notes.md");
+  if (write) {
+    ensureDir(dir);
+    if (!existsSync(notesPath)) writeFileSync(notesPath, NOTES_TEMPLATE);
+  }
+
+  const sessions = summarizeRecentSessions(agent.handle, cfg);
+  const platformState = await summarizePlatformMemory(agent.handle, apiKey);
+  if (write) {
+    const harnessDir = harnessMemoryDir(agent.handle);
+    ensureDir(harnessDir);
+    writeFileSync(path.join(harnessDir, "sessions.md"), `# Recent sessions\n\n${sessions || "(none yet)"}\n`);
+    writeFileSync(path.join(harnessDir, "platform.md"), `# Platform state (refreshed ${formatDate(Date.now())})\n\n${platformState || "(nothing open)"}\n`);
+  }
+
+  const notes = existsSync(notesPath) ? readFileSync(notesPath, "utf8") : NOTES_TEMPLATE;
+  const ownNotes = notes.trim() === NOTES_TEMPLATE.trim() ? "" : notes.replace(NOTES_TEMPLATE, "");
+
+  // Split the digest budget: platform state first, then sessions, then the newest notes.
+  const budget = cfg.max_digest_chars;
+  const parts = [
+    platformState && `### Open work and conversations\n${clip(platformState, Math.floor(budget * 0.4))}`,
+    sessions && `### Your last sessions\n${clip(sessions, Math.floor(budget * 0.35))}`,
+    ownNotes.trim() && `### Your notes (memory/notes.md, most recent)\n${clipTail(ownNotes, Math.floor(budget * 0.25))}`,
+  ].filter(Boolean);
+  return parts.length ? clip(parts.join("\n\n"), budget) : "";
+}
+
+// ---------------------------------------------------------------------------
+// Session prompt
+// ---------------------------------------------------------------------------
+
+// Prompt templates: `{var}` and `{a.b}` substitute, `{#if var}…{#else}…{/if}` (or `{#if !var}`)
+// branch on truthiness. Config may override these by name or add its own in platform.prompt_templates.
+const WORKFLOW_STEPS = [
+  "1. Read CLAUDE.md",
+  "2. Check notifications — respond to anything relevant",
+  "3. Review your profile and claimed tasks — prioritize completing open claims",
+  "4. Browse open tasks — comment, claim, or skip based on genuine fit with your expertise{#if persona.preferred_task_types} (you prefer: {persona.preferred_task_types}){/if}",
+  "5. Upvote and downvote comments based on relevance and helpfulness",
+  "6. If you spot a real issue in your repos, post it as a task for others",
+];
+
+function sessionTemplate(extraSteps = []) {
+  return `You are {name}. Run your beehack session now.
+
+Your CLAUDE.md defines who you are and how to interact with the platform.
+Your API key is in the BEEHACK_API_KEY environment variable. Fetch and read {base_url}/resources/skill.md to refresh your knowledge.
+
+{#if focus}
+## Focus for this session
+
+{focus}
+
+Do this within your normal workflow below, in your own voice.
+
+{/if}
+Execute your startup workflow:
+${[...WORKFLOW_STEPS, ...extraSteps].join("\n")}
+{#if sources}
+
+Your source context:
+{sources}
+{/if}
+{#if recent_memory}
+
+## Memory from previous sessions
+
+{recent_memory}
+{/if}
+
+Rules:
+- Only act if you have something genuinely useful to contribute
+- If there is nothing to do, just exit
+- Use curl -s for all API calls
+{#if persona}
+- Stay in character: {persona.top_expertise}; tone: {persona.tone}. {persona.activity}
+{#else}
+- Be yourself — your personality and expertise should come through naturally
+{/if}
+{#if memory_notes}
+- Before you exit, append anything worth remembering to memory/notes.md
+{/if}
+`;
+}
+
+const BUILTIN_PROMPT_TEMPLATES = {
+  session: sessionTemplate(),
+  researcher: sessionTemplate([
+    "7. Post or answer questions in your field of expertise to brainstorm ideas. Invite a wide range of opinions. Accomplish or post/manage tasks that extend or evaluate your research in other domains.",
+  ]),
+  // The Session Workflow section of CLAUDE.md.
+  workflow: `1. Check that \`$BEEHACK_API_KEY\` is set
+2. Check notifications and respond
+3. Review claimed tasks — complete them before taking new work
+4. Browse open tasks — comment, claim, or skip based on fit
+5. Post tasks if you find real issues in your domain
+`,
+};
+
+const TEMPLATE_TAG = /\{(#if !?[a-z_][\w.]*|#else|\/if|[a-z_][\w.]*)\}/g;
+
+function parsePromptTemplate(source, name = "") {
+  // A block tag alone on its line takes the line break with it, so branches leave no blank lines.
+  const text = String(source).replace(/^[ \t]*(\{(?:#if [^}\n]+|#else|\/if)\})[ \t]*\n/gm, "$1");
+  const root = [];
+  const stack = [{ nodes: root }];
+  let last = 0;
+  const fail = (index, message) => { throw new Error(`${name ? `${name}: ` : ""}line ${text.slice(0, index).split("\n").length}: ${message}`); };
+
+  for (const match of text.matchAll(TEMPLATE_TAG)) {
+    const top = stack.at(-1);
+    if (match.index > last) top.nodes.push(text.slice(last, match.index));
+    last = match.index + match[0].length;
+    const tag = match[1];
+    if (tag.startsWith("#if ")) {
+      const node = { test: tag.slice(4), then: [], else: [] };
+      top.nodes.push(node);
+      stack.push({ node, nodes: node.then });
+    } else if (tag === "#else") {
+      if (!top.node || top.nodes === top.node.else) fail(match.index, "{#else} without {#if}");
+      top.nodes = top.node.else;
+    } else if (tag === "/if") {
+      if (!top.node) fail(match.index, "{/if} without {#if}");
+      stack.pop();
+    } else {
+      top.nodes.push({ name: tag });
+    }
+  }
+  if (stack.length > 1) fail(text.length, `unclosed {#if ${stack.at(-1).node.test}}`);
+  if (last < text.length) root.push(text.slice(last));
+  return root;
+}
+
+function lookupVariable(vars, name) {
+  return name.split(".").reduce((value, key) => (value && typeof value === "object" && key in value ? value[key] : undefined), vars);
+}
+
+function renderPromptNodes(nodes, vars, unknown) {
+  return nodes.map((node) => {
+    if (typeof node === "string") return node;
+    if (node.test) {
+      const negate = node.test.startsWith("!");
+      const value = lookupVariable(vars, negate ? node.test.slice(1) : node.test);
+      const truthy = Array.isArray(value) ? value.length > 0 : Boolean(typeof value === "string" ? value.trim() : value);
+      return renderPromptNodes(truthy !== negate ? node.then : node.else, vars, unknown);
+    }
+    const value = lookupVariable(vars, node.name);
+    // Unknown names stay literal ({ids}, {to_handle} in API examples) and are reported by render-prompt.
+    if (value === undefined && !(node.name.split(".")[0] in vars)) { unknown.add(node.name); return `{${node.name}}`; }
+    if (Array.isArray(value)) return value.join(", ");
+    return value === null || value === undefined || value === false || typeof value === "object" ? "" : String(value);
+  }).join("");
+}
+
+function promptTemplateSource(name) {
+  const configured = platform.prompt_templates[name];
+  if (configured === undefined) {
+    if (BUILTIN_PROMPT_TEMPLATES[name] !== undefined) return BUILTIN_PROMPT_TEMPLATES[name];
+    throw new Error(`Unknown prompt template "${name}" (define it under platform.prompt_templates)`);
+  }
+  if (typeof configured === "string") return configured;
+  const file = path.resolve(path.dirname(configPath), configured.file);
+  if (!existsSync(file)) throw new Error(`Prompt template "${name}": ${file} not found`);
+  return readFileSync(file, "utf8");
+}
+
+function hasPromptTemplate(name) {
+  return platform.prompt_templates[name] !== undefined || BUILTIN_PROMPT_TEMPLATES[name] !== undefined;
+}
+
+function sessionTemplateName(agent) {
+  // Per agent, then a template named after the agent's role, then the platform default.
+  if (agent.prompt_template) return agent.prompt_template;
+  if (agent.role && hasPromptTemplate(agent.role)) return agent.role;
+  return platform.prompt_template;
+}
+
+function promptVariables(agent, memory = "", overlay = "") {
+  const persona = readPersona(agent);
+  return {
+    handle: agent.handle,
+    name: agent.name,
+    role: agent.role || "",
+    model: agent.model || "",
+    personality: agent.personality.tone,
+    base_url: BASE,
+    api_base: API_BASE,
+    environment: environment?.name || "",
+    sources: describeSources(agent, "  -"),
+    persona: persona && {
+      ...persona,
+      top_expertise: persona.expertise.slice(0, 3).join(", ") || "your domain",
+      activity: describeActivity(persona.activity_level),
+    },
+    recent_memory: memory,
+    focus: String(overlay || "").trim(),
+    memory_notes: platform.memory.enabled,
+  };
+}
+
+function renderPromptTemplate(name, vars, unknown = new Set()) {
+  return renderPromptNodes(parsePromptTemplate(promptTemplateSource(name), name), vars, unknown);
+}
+
+function buildSessionPrompt(agent, memory = "", overlay = "", unknown = new Set()) {
+  return renderPromptTemplate(sessionTemplateName(agent), promptVariables(agent, memory, overlay), unknown).trim();
+}
+
+async function renderPrompt() {
+  const handle = String(cli.positionals[0] || "").trim().toLowerCase();
+  if (!handle) throw new Error("Usage: render-prompt <handle> [--template <name>] [--skip-platform]");
+  const agent = loadAgent(handle);
+  if (cli.options.template) agent.prompt_template = cli.options.template;
+
+  // Same digest a session would get, but nothing is written and only GET requests are made.
+  const apiKey = cli.options["skip-platform"] ? null : resolveApiKey(agent);
+  const memory = await refreshMemory(agent, apiKey, { write: false });
+  const unknown = new Set();
+  const prompt = buildSessionPrompt(agent, memory, "", unknown);
+  console.error(`# template: ${sessionTemplateName(agent)} (${prompt.length} chars)`);
+  for (const name of unknown) console.error(`# warning: unknown variable {${name}} left as is`);
+  console.log(prompt);
+}
+
+// ---------------------------------------------------------------------------
+// Scripted driver — the in-process `scripted` backend
+// ---------------------------------------------------------------------------
+
+const SCRIPTED_PHRASES = {
+  curious: {
+    comment: [
+      "How would you measure success on \"{title}\"? I'd like to understand the acceptance criteria before anyone starts.",
+      "Curious whether \"{title}\" has been tried before — any prior attempts or notes worth linking?",
+      "This overlaps with what I've seen in {source}. Is there a minimal reproduction to start from?",
+    ],
+    reply: [
+      "Thanks @{actor} — that's a useful angle. What would you try first?",
+      "Good point @{actor}. Do you have an example handy?",
+    ],
+    task: [
+      "Reproduce the main results from {source}",
+      "Document the data pipeline in {source}",
+      "Open questions from reading {source}",
+    ],
+  },
+  skeptical: {
+    comment: [
+      "Before we commit to \"{title}\", what evidence do we have that this is the bottleneck?",
+      "I'm not convinced the scope of \"{title}\" is right. Can we split it into something verifiable?",
+      "In {source} a similar change introduced regressions. Who is checking edge cases here?",
+    ],
+    reply: [
+      "@{actor} I'd want to see numbers before agreeing.",
+      "Fair, @{actor}, but how does that hold up on the messy cases?",
+    ],
+    task: [
+      "Audit the assumptions in {source}",
+      "Add regression tests around {source}",
+      "Validate the reported metrics in {source}",
+    ],
+  },
+  enthusiastic: {
+    comment: [
+      "Love this! \"{title}\" would unblock a lot — happy to help test.",
+      "Great idea. I've been working with {source} and can share notes on \"{title}\".",
+      "+1 to \"{title}\". Let's get a first version out quickly and iterate.",
+    ],
+    reply: [
+      "Yes @{actor}! Let's do it.",
+      "Totally agree @{actor} — I can pair on this.",
+    ],
+    task: [
+      "Build a quick-start example for {source}",
+      "Improve the README of {source}",
+      "Share a walkthrough notebook for {source}",
+    ],
+  },
+};
+
+const SCRIPTED_TONES = Object.keys(SCRIPTED_PHRASES);
+const DEFAULT_PERSONALITY_WEIGHTS = { comment: 3, claim: 1, vote: 2, post: 1, idle: 1 };
+
+function normalizePersonality(raw) {
+  const source = typeof raw === "string" ? { tone: raw } : raw || {};
+  const weights = { ...DEFAULT_PERSONALITY_WEIGHTS };
+  for (const [key, value] of Object.entries(source.weights || {})) {
+    if (key in weights) weights[key] = toNonNegativeInt(value, weights[key]);
+  }
+  return { tone: SCRIPTED_TONES.includes(source.tone) ? source.tone : "curious", weights };
+}
+
+function fillPhrase(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+}
+
+function sourceLabel(url) {
+  if (!url) return "my own projects";
+  const trimmed = String(url).replace(/\.git$/, "").replace(/\/+$/, "");
+  return trimmed.split("/").slice(-2).join("/") || trimmed;
+}
+
+async function runScriptedSession(agent, apiKey, state) {
+  const rng = agentRng(agent.handle, state, "scripted");
+  const phrases = SCRIPTED_PHRASES[agent.personality.tone];
+  const maxActions = platform.max_actions_per_agent_per_cycle;
+  const source = sourceLabel(pick(rng, agent.repo_context));
+  const api = (method, route, body) => apiCall(apiKey, method, route, body);
+  const lines = [];
+  const actions = [];
+  const record = (action) => { actions.push(action); lines.push(`${action.action}: ${action.summary}`); };
+
+  const inbox = await api("GET", "/notifications?unread=true");
+  const unread = (inbox?.notifications || []).filter((n) => !n.read);
+  lines.push(`notifications: ${unread.length} unread`);
+
+  for (const n of unread) {
+    if (actions.length >= maxActions) break;
+    if (!["comment", "reply"].includes(n.type) || !n.post_id) continue;
+    const content = fillPhrase(pick(rng, phrases.reply), { actor: n.actor });
+    try {
+      const res = await api("POST", `/posts/${n.post_id}/comments`, { content, parent_id: n.comment_id || undefined });
+      record({ action: "reply", method: "POST", route: `/posts/${n.post_id}/comments`, comment_id: res?.comment?.id, summary: `replied to ${n.actor} on ${n.post_id}` });
+    } catch (error) {
+      // A thread deleted since the notification shouldn't end the session.
+      lines.push(`reply to ${n.actor} on ${n.post_id} failed: ${error.message}`);
+    }
+  }
+
+  // Only the first inbox read is essential; everything after it degrades to a logged line.
+  if (unread.length > 0) {
+    try {
+      await api("PATCH", "/notifications", { all: true });
+      lines.push("marked notifications read");
+    } catch (error) {
+      lines.push(`mark notifications read failed: ${error.message}`);
+    }
+  }
+
+  let others = [];
+  try {
+    const feed = await api("GET", "/posts?sort=hot");
+    others = (feed?.posts || []).filter((p) => p.author !== agent.handle);
+    lines.push(`browsed ${others.length} posts by others`);
+  } catch (error) {
+    lines.push(`browse posts failed: ${error.message}`);
+  }
+
+  const touched = new Set();
+  const handlers = {
+    comment: async () => {
+      const post = pick(rng, others.filter((p) => !touched.has(p.id)));
+      if (!post) return null;
+      touched.add(post.id);
+      const content = fillPhrase(pick(rng, phrases.comment), { title: post.title, source });
+      const res = await api("POST", `/posts/${post.id}/comments`, { content });
+      return { action: "comment", method: "POST", route: `/posts/${post.id}/comments`, comment_id: res?.comment?.id, summary: `commented on "${post.title}"` };
+    },
+    claim: async () => {
+      const post = pick(rng, others.filter((p) => p.task_type === "fcfs" && p.status === "open" && !p.claimed_by));
+      if (!post) return null;
+      await api("POST", `/posts/${post.id}/claim`);
+      post.status = "claimed";
+      post.claimed_by = agent.handle;
+      return { action: "claim", method: "POST", route: `/posts/${post.id}/claim`, summary: `claimed "${post.title}"` };
+    },
+    vote: async () => {
+      const post = pick(rng, others);
+      if (!post) return null;
+      const thread = await api("GET", `/posts/${post.id}/comments`);
+      const comment = pick(rng, (thread?.comments || []).filter((c) => c.author !== agent.handle && !touched.has(c.id)));
+      if (!comment) return null;
+      touched.add(comment.id);
+      const value = agent.personality.tone === "skeptical" && rng() < 0.4 ? -1 : 1;
+      await api("POST", `/comments/${comment.id}/vote`, { value });
+      return { action: "vote", method: "POST", route: `/comments/${comment.id}/vote`, value, summary: `${value > 0 ? "upvoted" : "downvoted"} ${comment.author}'s comment on "${post.title}"` };
+    },
+    post: async () => {
+      const title = fillPhrase(pick(rng, phrases.task), { source });
+      const description = `Raised by ${agent.name} while working with ${agent.repo_context[0] || "their own projects"}.`;
+      const res = await api("POST", "/posts", { title, description, task_type: "fcfs" });
+      return { action: "post", method: "POST", route: "/posts", post_id: res?.post?.id, summary: `posted "${title}"` };
+    },
+  };
+
+  // Each draw either acts or ends the session; draws that find nothing to act on still count.
+  for (let draws = 0; actions.length < maxActions && draws < maxActions * 3; draws++) {
+    const kind = pickWeighted(rng, agent.personality.weights);
+    if (!kind || kind === "idle") { lines.push("nothing else worth doing; exiting"); break; }
+    try {
+      const action = await handlers[kind]();
+      if (action) record(action);
+    } catch (error) {
+      lines.push(`${kind} failed: ${error.message}`);
+    }
+  }
+
+  lines.push(`done: ${actions.length}/${maxActions} actions`);
+  return { output: lines.join("\n"), actions };
+}
+
+// ---------------------------------------------------------------------------
+// Source cache — repo_context fetched into instances/<handle>/sources/
+// ---------------------------------------------------------------------------
+
+const SOURCE_EXTENSIONS = {
+  "application/pdf": ".pdf",
+  "text/html": ".html",
+  "text/plain": ".txt",
+  "text/markdown": ".md",
+  "application/json": ".json",
+  "application/xml": ".xml",
+  "text/xml": ".xml",
+};
+
+function sourcesDir(handle) { return path.join(instancePath(handle), "sources"); }
+
+function readManifest(handle) { return readJson(path.join(sourcesDir(handle), "manifest.json"), { entries: {} }); }
+
+function isRemoteSource(entry) { return /^[a-z]+:\/\//i.test(entry); }
+
+function isGitSource(url) {
+  return /\.git\/?$/i.test(url) || /^https?:\/\/(github\.com|gitlab\.com|bitbucket\.org)\/[^/]+\/[^/]+\/?$/i.test(url);
+}
+
+function sourceSlug(url, git, used) {
+  const parsed = new URL(url);
+  const segments = parsed.pathname.split("/").filter(Boolean);
+  const raw = git ? sourceLabel(url).replace("/", "__") : segments.at(-1) || parsed.hostname;
+  const base = raw.replace(/[^\w.-]+/g, "_").slice(0, 80) || "source";
+  let name = base;
+  for (let i = 2; used.has(name); i++) name = `${base}-${i}`;
+  used.add(name);
+  return name;
+}
+
+async function fetchGitSource(url, target) {
+  const options = { timeout: platform.sources.fetch_timeout_ms, env: { ...process.env, GIT_TERMINAL_PROMPT: "0" } };
+  if (existsSync(path.join(target, ".git"))) {
+    await runSpawnCommand("git", ["fetch", "--quiet", "--depth", "1", "origin", "HEAD"], { ...options, cwd: target });
+    await runSpawnCommand("git", ["reset", "--quiet", "--hard", "FETCH_HEAD"], { ...options, cwd: target });
+  } else {
+    rmSync(target, { recursive: true, force: true });
+    await runSpawnCommand("git", ["clone", "--quiet", "--depth", "1", url, target], options);
+  }
+  const { output } = await runSpawnCommand("git", ["rev-parse", "HEAD"], { ...options, cwd: target });
+  return { kind: "git", sha: output.trim() };
+}
+
+async function fetchFileSource(url, dir, name) {
+  const maxBytes = platform.sources.max_file_mb * 1024 * 1024;
+  const response = await fetch(url, { redirect: "follow", signal: AbortSignal.timeout(platform.sources.fetch_timeout_ms) });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  if (Number(response.headers.get("content-length")) > maxBytes) throw new Error(`larger than ${platform.sources.max_file_mb} MB`);
+  const body = Buffer.from(await response.arrayBuffer());
+  if (body.length > maxBytes) throw new Error(`larger than ${platform.sources.max_file_mb} MB`);
+
+  const contentType = (response.headers.get("content-type") || "").split(";")[0].trim().toLowerCase();
+  const file = path.extname(name) ? name : `${name}${SOURCE_EXTENSIONS[contentType] || ".bin"}`;
+  writeFileSync(path.join(dir, file), body);
+  return { kind: "file", path: file, hash: createHash("sha256").update(body).digest("hex"), bytes: body.length, content_type: contentType };
+}
+
+async function syncSources(agent, { force = false } = {}) {
+  const dir = sourcesDir(agent.handle);
+  ensureDir(dir);
+  const manifest = readManifest(agent.handle);
+  const refreshMs = platform.sources.refresh_hours * 3_600_000;
+  const remote = agent.repo_context.filter(isRemoteSource);
+  const used = new Set(Object.values(manifest.entries).map((e) => e.path));
+  const counts = { fetched: 0, unchanged: 0, fresh: 0, failed: 0 };
+
+  for (const url of remote) {
+    const previous = manifest.entries[url];
+    if (!force && previous?.checked_at && Date.now() - Date.parse(previous.checked_at) < refreshMs) { counts.fresh++; continue; }
+
+    const git = isGitSource(url);
+    const name = previous?.path || sourceSlug(url, git, used);
+    const checkedAt = formatDate(Date.now());
+    try {
+      const result = git ? await fetchGitSource(url, path.join(dir, name)) : await fetchFileSource(url, dir, name);
+      const version = result.sha || result.hash;
+      const changed = version !== (previous?.sha || previous?.hash);
+      manifest.entries[url] = { path: name, ...result, fetched_at: checkedAt, checked_at: checkedAt };
+      counts[changed ? "fetched" : "unchanged"]++;
+      recordEvent(agent.handle, "source_sync", { url, kind: result.kind, version, changed });
+    } catch (error) {
+      // A failed refresh keeps the previous copy; it is retried on the next refresh.
+      manifest.entries[url] = { ...(previous || { path: name, kind: git ? "git" : "file" }), checked_at: checkedAt, error: error.message };
+      counts.failed++;
+      logAgent(agent, `source fetch failed for ${url}: ${error.message}`);
+      recordEvent(agent.handle, "source_sync", { url, kind: git ? "git" : "file", error: error.message });
+    }
+  }
+
+  // Sources dropped from repo_context are removed from the cache.
+  for (const [url, entry] of Object.entries(manifest.entries)) {
+    if (remote.includes(url)) continue;
+    rmSync(path.join(dir, entry.path), { recursive: true, force: true });
+    delete manifest.entries[url];
+  }
+
+  writeJson(path.join(dir, "manifest.json"), manifest);
+  return counts;
+}
+
+function describeSources(agent, bullet = "-") {
+  const manifest = readManifest(agent.handle);
+  return agent.repo_context.map((url) => {
+    const entry = manifest.entries[url];
+    if (!entry?.fetched_at) return `${bullet} ${url}`;
+    const version = entry.sha ? `commit ${entry.sha.slice(0, 7)}` : `sha256 ${entry.hash.slice(0, 12)}`;
+    return `${bullet} ${url} → \`sources/${entry.path}\` (${version}, fetched ${entry.fetched_at.slice(0, 10)})`;
+  }).join("\n");
+}
+
+async function syncSourcesCommand() {
+  const handles = cli.positionals.length ? cli.positionals.map((h) => h.toLowerCase()) : allInstances();
+  if (handles.length === 0) { console.log(`No instances in ${instanceRoot}. Run bootstrap first.`); return; }
+
+  for (const handle of handles) {
+    const agent = loadAgent(handle);
+    const outcome = await withLock(handle, () => syncSources(agent, { force: Boolean(cli.options.force) }));
+    if (outcome.locked) { console.log(`${handle}: busy in another run; skipping`); continue; }
+    const c = outcome.value;
+    console.log(`${handle}: ${c.fetched} updated, ${c.unchanged} unchanged, ${c.fresh} still fresh, ${c.failed} failed`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Personas — persona.json derived once from an agent's sources
+// ---------------------------------------------------------------------------
+
+const ACTIVITY_LEVELS = ["low", "medium", "high"];
+const PERSONA_TASK_TYPES = ["question", "task", "bug", "research", "review", "data"];
+const PERSONA_TEXT_EXTENSIONS = new Set([".md", ".txt", ".rst", ".html", ".htm", ".xml", ".tex"]);
+const PERSONA_MAX_TEXT = 200_000;
+const SKILL_BY_EXTENSION = {
+  ".py": "Python", ".r": "R", ".rmd": "R Markdown", ".ipynb": "Jupyter notebooks", ".jl": "Julia",
+  ".js": "JavaScript", ".mjs": "JavaScript", ".ts": "TypeScript", ".go": "Go", ".rs": "Rust", ".java": "Java",
+  ".sql": "SQL", ".sh": "shell scripting", ".tex": "LaTeX", ".csv": "tabular data", ".parquet": "tabular data",
+  ".pdf": "reading papers", ".stan": "Bayesian modelling",
+};
+const PERSONA_STOPWORDS = new Set(`
+about above after again against also among because been before being below between both could does doing down during each
+from further have having here into itself just more most other over same should some such than that their them then there
+these they this those through under until very were what when where which while will with would your yours using used
+use uses data file files html http https www github com org readme license copyright version see also note notes example
+within without across based including include includes make made many much like well only each per new one two three
+`.split(/\s+/).filter(Boolean));
+
+function personaPath(handle) { return path.join(instancePath(handle), "persona.json"); }
+
+function readPersona(agent) {
+  // persona.json is meant to be hand-edited; fill in whatever an edit left out.
+  const raw = readJson(personaPath(agent.handle), null);
+  return raw && normalizePersona(raw, agent);
+}
+
+function defaultActivityLevel(agent) {
+  const interval = agent.schedule.interval_minutes;
+  return interval <= 10 ? "high" : interval <= 30 ? "medium" : "low";
+}
+
+function stringList(value, max = 8) {
+  const list = Array.isArray(value) ? value : typeof value === "string" ? value.split(",") : [];
+  return [...new Set(list.map((v) => safeTrim(String(v))).filter(Boolean))].slice(0, max);
+}
+
+function normalizePersona(raw, agent) {
+  const source = raw || {};
+  return {
+    handle: agent.handle,
+    bio: safeTrim(source.bio || ""),
+    expertise: stringList(source.expertise),
+    tone: safeTrim(source.tone || "") || `${agent.personality.tone}, direct and specific`,
+    interests: stringList(source.interests),
+    skills: stringList(source.skills),
+    preferred_task_types: stringList(source.preferred_task_types).filter((t) => PERSONA_TASK_TYPES.includes(t)),
+    activity_level: ACTIVITY_LEVELS.includes(source.activity_level) ? source.activity_level : defaultActivityLevel(agent),
+  };
+}
+
+function collectLocalFiles(target, out = [], limit = 500) {
+  if (out.length >= limit || !existsSync(target)) return out;
+  if (!statSync(target).isDirectory()) { out.push(target); return out; }
+  for (const entry of readdirSync(target, { withFileTypes: true })) {
+    if (WATCH_SKIP_DIRS.has(entry.name)) continue;
+    collectLocalFiles(path.join(target, entry.name), out, limit);
+  }
+  return out;
+}
+
+function personaLocalPaths(agent) {
+  const local = agent.repo_context.filter((entry) => !isRemoteSource(entry));
+  const cached = existsSync(sourcesDir(agent.handle)) ? [sourcesDir(agent.handle)] : [];
+  return [...agent.persona_files, ...local].map((p) => path.resolve(path.dirname(configPath), p)).concat(cached);
+}
+
+function topTerms(text, size, count) {
+  const words = text.toLowerCase().match(/[a-z][a-z-]{2,}/g) || [];
+  const counts = new Map();
+  for (let i = 0; i + size <= words.length; i++) {
+    const gram = words.slice(i, i + size);
+    if (gram.some((w) => w.length < 4 || PERSONA_STOPWORDS.has(w))) continue;
+    const key = gram.join(" ");
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return [...counts.entries()].filter(([, n]) => n > 1).sort((a, b) => b[1] - a[1]).slice(0, count).map(([term]) => term);
+}
+
+function analyseLocalSources(agent) {
+  const files = personaLocalPaths(agent).flatMap((p) => collectLocalFiles(p));
+  const skills = new Map();
+  let text = "";
+  for (const file of files) {
+    const ext = path.extname(file).toLowerCase();
+    if (SKILL_BY_EXTENSION[ext]) skills.set(SKILL_BY_EXTENSION[ext], (skills.get(SKILL_BY_EXTENSION[ext]) || 0) + 1);
+    if (PERSONA_TEXT_EXTENSIONS.has(ext) && text.length < PERSONA_MAX_TEXT) {
+      text += `\n${readFileSync(file, "utf8").replace(/<[^>]+>/g, " ").slice(0, PERSONA_MAX_TEXT - text.length)}`;
+    }
+  }
+
+  const labels = agent.repo_context.map(sourceLabel);
+  const skillList = [...skills.entries()].sort((a, b) => b[1] - a[1]).map(([skill]) => skill);
+  const codeHeavy = skillList.some((s) => !["reading papers", "LaTeX", "tabular data"].includes(s));
+  const expertise = topTerms(text, 2, 4);
+  return {
+    bio: `I work from ${labels.join(", ") || "my own projects"}${expertise.length ? `, mostly on ${expertise.slice(0, 2).join(" and ")}` : ""}.`,
+    expertise: expertise.length ? expertise : labels,
+    interests: topTerms(text, 1, 8),
+    skills: skillList,
+    preferred_task_types: codeHeavy ? ["task", "bug", "review"] : ["question", "research", "review"],
+  };
+}
+
+function personaPrompt(agent) {
+  const sources = agent.repo_context.map((u) => `- ${u}`).join("\n") || "- (none configured)";
+  return [
+    `You are preparing the persona of "${agent.handle}", a simulated member of BeeHack, a platform where people post, discuss and claim technical tasks.`,
+    "Study these sources. Clone repositories shallowly and fetch documents as needed, but do not call the BeeHack API:",
+    sources,
+    "",
+    "Reply with only a JSON object, no prose, with these keys:",
+    "- expertise: 2-5 short phrases naming the domains this person knows deeply",
+    "- tone: one sentence on how they write",
+    "- interests: up to 8 topics they would follow",
+    "- skills: up to 8 concrete tools, languages or methods",
+    `- preferred_task_types: any of ${PERSONA_TASK_TYPES.join(", ")}`,
+    "- activity_level: low, medium or high",
+    "- bio: 2-3 sentences in the first person",
+  ].join("\n");
+}
+
+function extractJsonObject(text) {
+  const fenced = String(text).match(/```(?:json)?\s*(\{[\s\S]*?\})\s*```/);
+  const candidates = [fenced?.[1], String(text).slice(String(text).indexOf("{"), String(text).lastIndexOf("}") + 1)];
+  for (const candidate of candidates.filter(Boolean)) {
+    try { return JSON.parse(candidate); } catch { }
+  }
+  return null;
+}
+
+async function generatePersonaWithBackend(agent, backend) {
+  const ctx = {
+    apiKey: null,
+    state: {},
+    prompt: personaPrompt(agent),
+    instanceDir: instancePath(agent.handle),
+    timeoutMs: SESSION_TIMEOUT,
+    sandbox: sandboxSettings(backend),
+  };
+  const result = await BACKEND_TYPES[backend.type].run(agent, backend, ctx);
+  const parsed = result.format === "codex-json" ? parseCodexJson(result.output) : parseStreamJson(result.output);
+  const persona = extractJsonObject(parsed.result ?? result.output);
+  if (!persona) throw new Error("backend output contained no JSON object");
+  return persona;
+}
+
+async function ensurePersona(agent, { refresh = false } = {}) {
+  if (!refresh && readPersona(agent)) return false;
+  const mode = platform.persona.mode;
+  if (mode === "off") return false;
+
+  const backend = resolveBackend(agent);
+  const useBackend = mode === "backend" || (mode === "auto" && backend.type !== "scripted");
+  let generated = null;
+  let source = "local";
+
+  if (useBackend && backend.type !== "scripted") {
+    try {
+      console.log(`  generating persona with ${backend.name}...`);
+      generated = await generatePersonaWithBackend(agent, backend);
+      source = `backend:${backend.name}`;
+    } catch (error) {
+      console.warn(`  persona generation with ${backend.name} failed (${error.message}); using local analysis`);
+    }
+  }
+  if (!generated) generated = analyseLocalSources(agent);
+
+  // Fields set under `persona` in the config always win over generated ones.
+  const persona = {
+    ...normalizePersona({ ...generated, ...agent.persona }, agent),
+    source,
+    sources: agent.repo_context,
+    generated_at: formatDate(Date.now()),
+  };
+  writeJson(personaPath(agent.handle), persona);
+  logAgent(agent, `persona ${refresh ? "refreshed" : "generated"} (${source})`);
+  recordEvent(agent.handle, "persona", { source, refresh });
+  return true;
+}
+
+function describeActivity(level) {
+  if (level === "low") return "You drop by occasionally: at most one meaningful action per session.";
+  if (level === "high") return "You are very active: engage with several threads when you have something to add.";
+  return "You are moderately active: one to three meaningful actions per session.";
+}
+
+function renderPersonaMd(persona) {
+  const facts = [
+    persona.expertise.length ? `- **Expertise:** ${persona.expertise.join(", ")}` : "",
+    `- **Tone:** ${persona.tone}`,
+    persona.interests.length ? `- **Interests:** ${persona.interests.join(", ")}` : "",
+    persona.skills.length ? `- **Skills:** ${persona.skills.join(", ")}` : "",
+    persona.preferred_task_types.length ? `- **Preferred task types:** ${persona.preferred_task_types.join(", ")}` : "",
+    `- **Activity:** ${describeActivity(persona.activity_level)}`,
+  ].filter(Boolean).join("\n");
+  return persona.bio ? `${persona.bio}\n\n${facts}` : facts;
+}
+
+// ---------------------------------------------------------------------------
+// CLAUDE.md generator — the only file we generate for the agent
+// ---------------------------------------------------------------------------
+
+// Bump when generateClaudeMd changes, so update-instructions can tell instances apart.
+const INSTRUCTIONS_VERSION = 4;
+const INSTRUCTIONS_STAMP = /^<!-- beehack:instructions v(\d+) inputs:([0-9a-f]+) -->\n/;
+// Hand-written blocks: everything between a begin/end pair survives regeneration.
+const USER_SECTION = /<!-- beehack:user-begin ([\w-]+) -->\n?([\s\S]*?)<!-- beehack:user-end \1 -->/g;
+
+function generateClaudeMd(agent) {
+  const sources = describeSources(agent) || "- (none)";
+  const persona = readPersona(agent);
+  const cached = Object.keys(readManifest(agent.handle).entries).length > 0;
+  const sourcesNote = [
+    persona
+      ? "These are your knowledge sources. Your persona below was distilled from them; go back to them when a task needs detail."
+      : "These are your knowledge sources. Clone repos, fetch documents, read papers — whatever you need to understand your domain. Your expertise, personality, and working style should emerge from these sources.",
+    cached ? `Local copies live under \`sources/\` and are refreshed every ${platform.sources.refresh_hours}h; read them there instead of downloading again (\`sources/manifest.json\` lists versions).` : "",
+  ].filter(Boolean).join(" ");
+  return `# ${agent.handle} — Beehack Agent
+
+## Who You Are
+
+- **Handle:** ${agent.handle}
+- **Profile:** \`$BEEHACK_API_BASE/api/users/profile?name=${agent.handle}\` (also \`PROFILE_URL\` in \`.env.local\`)
+- **Credentials:** \`$BEEHACK_API_KEY\` in your environment (never write it to a file or commit it)
+
+## Your Sources
+
+${sources}
+
+${sourcesNote}
+${persona ? `\n## Persona\n\n${renderPersonaMd(persona)}\n` : ""}
+## Platform API
+
+**Base URL:** \`$BEEHACK_API_BASE\` in your environment (also \`BASE_URL\` in \`.env.local\`); it changes with the environment you run in, so never hard-code it
+
+**Auth:** \`Authorization: Bearer $BEEHACK_API_KEY\`
+
+**Key endpoints:**
+- \`GET /api/notifications\` — check notifications
+- \`GET /api/posts?sort=hot\` — browse tasks
+- \`GET /api/users/profile?name=${agent.handle}\` — your profile + claimed tasks
+- \`POST /api/posts/:id/claim\` — claim a task
+- \`POST /api/posts/:id/comments\` — comment on a task
+- \`POST /api/posts\` — create a task
+- \`POST /api/messages\` — send a DM (\`{to_handle, content}\`)
+- \`PATCH /api/notifications\` — mark read (\`{all: true}\` or \`{ids: [...]}\`)
+
+**Full API reference:** Fetch \`$BEEHACK_API_BASE/resources/skill.md\` for complete documentation.
+
+## Session Workflow
+
+${renderPromptTemplate("workflow", promptVariables(agent)).trim()}
+
+## Memory
+
+- \`memory/notes.md\` is yours: append promises, contacts and follow-ups before you exit
+- \`memory/sessions.md\` and \`memory/platform.md\` are refreshed by the harness before each session; with \`$BEEHACK_ENV\` set they are in \`environments/$BEEHACK_ENV/memory/\` instead
+
+## Principles
+
+- Be genuine — only act if you have something useful to contribute
+- Be honest about your capabilities
+- Prefer public comments over DMs
+- Use \`git config user.name "${agent.handle}"\` in claimed repos
+
+## Local Instructions
+
+Anything between the markers below is kept when this file is regenerated.
+
+<!-- beehack:user-begin local -->
+<!-- beehack:user-end local -->
+`;
+}
+
+function readUserSections(text) {
+  return new Map([...String(text || "").matchAll(USER_SECTION)].map((m) => [m[1], m[2]]));
+}
+
+function instructionsHash(text) {
+  // Generated content only: user sections and whitespace changes don't count as edits.
+  return hashText(String(text).replace(INSTRUCTIONS_STAMP, "").replace(USER_SECTION, "").replace(/\s+/g, " ").trim());
+}
+
+function renderInstructions(agent, previous = "") {
+  const generated = generateClaudeMd(agent);
+  const kept = readUserSections(previous);
+  let body = generated.replace(USER_SECTION, (match, name) => {
+    if (!kept.has(name)) return match;
+    const content = kept.get(name);
+    kept.delete(name);
+    return `<!-- beehack:user-begin ${name} -->\n${content}<!-- beehack:user-end ${name} -->`;
+  });
+  // Sections the template no longer has a slot for are appended rather than dropped.
+  for (const [name, content] of kept) body += `\n<!-- beehack:user-begin ${name} -->\n${content}<!-- beehack:user-end ${name} -->\n`;
+  return `<!-- beehack:instructions v${INSTRUCTIONS_VERSION} inputs:${instructionsHash(generated)} -->\n${body}`;
+}
+
+function instructionsStatus(agent) {
+  const file = path.join(instancePath(agent.handle), "CLAUDE.md");
+  const current = existsSync(file) ? readFileSync(file, "utf8") : null;
+  const next = renderInstructions(agent, current || "");
+  if (current === next) return { file, current, next, stale: false, reasons: [] };
+  if (current === null) return { file, current: "", next, stale: true, reasons: ["missing"] };
+
+  const stamp = current.match(INSTRUCTIONS_STAMP);
+  const reasons = [];
+  if (!stamp) reasons.push("no version stamp (generated before templating)");
+  else {
+    if (Number(stamp[1]) !== INSTRUCTIONS_VERSION) reasons.push(`template v${stamp[1]} → v${INSTRUCTIONS_VERSION}`);
+    else if (stamp[2] !== instructionsHash(next)) reasons.push("config, persona or sources changed");
+    if (stamp[2] !== instructionsHash(current)) reasons.push("edited outside user sections (those edits would be lost)");
+  }
+  return { file, current, next, stale: true, reasons: reasons.length ? reasons : ["formatting"] };
+}
+
+function lineDiff(before, after, context = 2) {
+  // Unified-style diff via LCS; CLAUDE.md is a few hundred lines at most.
+  const a = before.split("\n");
+  const b = after.split("\n");
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+  }
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) { ops.push([" ", a[i], i]); i++; j++; }
+    else if (i < a.length && (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])) { ops.push(["-", a[i], i]); i++; }
+    else ops.push(["+", b[j++], i]);
+  }
+
+  const near = ops.map((op, k) => ops.slice(Math.max(0, k - context), k + context + 1).some((x) => x[0] !== " "));
+  const out = [];
+  ops.forEach((op, k) => {
+    if (!near[k]) return;
+    if (k === 0 || !near[k - 1]) out.push(`@@ line ${op[2] + 1} @@`);
+    out.push(`${op[0]} ${op[1]}`);
+  });
+  return out.join("\n");
+}
+
+function writeInstructions(agent, check) {
+  writeFileSync(check.file, check.next);
+  logAgent(agent, `CLAUDE.md updated to template v${INSTRUCTIONS_VERSION}`);
+  recordEvent(agent.handle, "instructions", { version: INSTRUCTIONS_VERSION, reasons: check.reasons });
+}
+
+async function updateInstructions() {
+  ensureDir(instanceRoot);
+  const handles = cli.positionals.length ? cli.positionals.map((h) => String(h).trim().toLowerCase()) : allInstances();
+  const apply = Boolean(cli.options.yes);
+  let pending = 0;
+
+  for (const handle of handles) {
+    if (!existsSync(instancePath(handle))) { console.log(`${handle}: no instance in ${instanceRoot}`); continue; }
+    const agent = loadAgent(handle);
+    const outcome = await withLock(handle, () => {
+      const check = instructionsStatus(agent);
+      if (!check.stale) { console.log(`${handle}: up to date (v${INSTRUCTIONS_VERSION})`); return; }
+      console.log(`\n${handle}: ${check.reasons.join("; ")}`);
+      console.log(lineDiff(check.current, check.next));
+      if (!apply) { pending++; return; }
+      writeInstructions(agent, check);
+      console.log(`${handle}: CLAUDE.md written`);
+    });
+    if (outcome.locked) console.log(`${handle}: busy in another run; skipping`);
+  }
+  if (pending) console.log(`\n${pending} CLAUDE.md file(s) would change. Re-run with --yes to write them.`);
+}
+
+function generateEnvLocal(handle) {
+  // No credentials here: the key reaches the session as $BEEHACK_API_KEY.
+  const lines = [`HANDLE=${handle}`, `BASE_URL=${BASE}`, `PROFILE_URL=${BASE}/api/users/profile?name=${handle}`];
+  if (environment) lines.push(`BEEHACK_ENV=${environment.name}`);
+  return lines.join("\n") + "\n";
+}
+
+// ---------------------------------------------------------------------------
+// Secrets — API keys live in one vault file, never in config, state or .env.local
+// ---------------------------------------------------------------------------
+
+const SECRET_FILES = [".env.local", "state.json"];
+const vaultKeys = new Map();
+const VAULT_LOCK_WAIT_MS = 10_000;
+let legacyVaultChecked = false;
+
+function vaultPath(secrets = platform.secrets) {
+  // Never under the instance root: every agent's cwd is inside it and agents run as the same user.
+  if (secrets?.file) return path.resolve(path.dirname(configPath), secrets.file);
+  return path.join(process.env.XDG_CONFIG_HOME || path.join(homedir(), ".config"), "beehack", "secrets.json");
+}
+
+function withVaultLock(fn) {
+  // Overlapping runs may register at once; a lost read-modify-write would drop a key the API only returns once.
+  if (!legacyVaultChecked) migrateLegacyVault();
+  const file = `${vaultPath()}.lock`;
+  const deadline = Date.now() + VAULT_LOCK_WAIT_MS;
+  ensureDir(path.dirname(file));
+  for (;;) {
+    try {
+      writeFileSync(file, `${JSON.stringify({ pid: process.pid, acquired_at: formatDate(Date.now()) })}\n`, { flag: "wx", mode: 0o600 });
+      break;
+    } catch (error) {
+      if (error.code !== "EEXIST") throw error;
+      if (isStaleLock(readLockFile(file))) { rmSync(file, { force: true }); continue; }
+      if (Date.now() > deadline) throw new Error(`${file} is held by another process`);
+      Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 50);
+    }
+  }
+  try {
+    return fn();
+  } finally {
+    rmSync(file, { force: true });
+  }
+}
+
+function migrateLegacyVault() {
+  // Older versions kept the vault at instances/secrets.json, readable from every agent's working directory.
+  legacyVaultChecked = true;
+  const legacy = path.join(instanceRoot, "secrets.json");
+  if (platform.secrets.file || !existsSync(legacy)) return;
+  withVaultLock(() => {
+    const vault = readVault();
+    for (const [name, entry] of Object.entries(readVaultFile(legacy).keys)) vault.keys[name] ??= entry;
+    writeVault(vault);
+    rmSync(legacy, { force: true });
+  });
+  console.log(`  moved API keys from ${legacy} to ${vaultPath()}`);
+}
+
+function vaultPassphrase() {
+  return process.env[platform.secrets.passphrase_env] || null;
+}
+
+function vaultCipherKey(passphrase, salt) {
+  const id = `${passphrase}:${salt}`;
+  if (!vaultKeys.has(id)) vaultKeys.set(id, scryptSync(passphrase, Buffer.from(salt, "base64"), 32));
+  return vaultKeys.get(id);
+}
+
+function readVault() {
+  if (!legacyVaultChecked) migrateLegacyVault();
+  return readVaultFile(vaultPath());
+}
+
+function readVaultFile(file) {
+  const raw = readJson(file, null);
+  if (!raw) return { keys: {} };
+  if (!raw.cipher) return { keys: raw.keys || {} };
+
+  const passphrase = vaultPassphrase();
+  if (!passphrase) throw new Error(`${file} is encrypted; set ${platform.secrets.passphrase_env} to unlock it`);
+  try {
+    return { keys: openVault(raw, passphrase).keys || {} };
+  } catch {
+    throw new Error(`cannot unlock ${file}: wrong passphrase in ${platform.secrets.passphrase_env} or corrupted file`);
+  }
+}
+
+function sealVault(body, passphrase) {
+  const salt = randomBytes(16).toString("base64");
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", vaultCipherKey(passphrase, salt), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(body), "utf8"), cipher.final()]);
+  return { version: 1, cipher: "aes-256-gcm", kdf: "scrypt", salt, iv: iv.toString("base64"), tag: cipher.getAuthTag().toString("base64"), data: data.toString("base64") };
+}
+
+function openVault(raw, passphrase) {
+  // Throws on a wrong passphrase or a tampered file: GCM checks the tag before anything is returned.
+  const decipher = createDecipheriv("aes-256-gcm", vaultCipherKey(passphrase, raw.salt), Buffer.from(raw.iv, "base64"));
+  decipher.setAuthTag(Buffer.from(raw.tag, "base64"));
+  return JSON.parse(Buffer.concat([decipher.update(Buffer.from(raw.data, "base64")), decipher.final()]).toString("utf8"));
+}
+
+function writeVault(vault) {
+  const file = vaultPath();
+  const passphrase = vaultPassphrase();
+  const plain = { version: 1, keys: vault.keys };
+  const body = passphrase ? sealVault(plain, passphrase) : plain;
+
+  ensureDir(path.dirname(file));
+  const tmp = `${file}.${process.pid}.tmp`;
+  writeFileSync(tmp, JSON.stringify(body, null, 2) + "\n", { mode: 0o600 });
+  renameSync(tmp, file);
+  chmodSync(file, 0o600);
+}
+
+function readSecret(handle) { return readVault().keys[handle]?.api_key || null; }
+
+function writeSecret(handle, apiKey, source) {
+  withVaultLock(() => {
+    const vault = readVault();
+    vault.keys[handle] = { api_key: apiKey, source, stored_at: formatDate(Date.now()) };
+    writeVault(vault);
+  });
+}
+
+function isKeyReference(value) { return /^(env|secret):/.test(String(value || "")); }
+
+function configuredApiKey(agent) {
+  // api_key in the config is a reference: "env:VAR" or "secret:<handle>". A literal key still works but lint flags it.
+  const ref = agent.api_key;
+  if (!ref) return null;
+  if (ref.startsWith("env:")) return process.env[ref.slice(4)] || null;
+  if (ref.startsWith("secret:")) return readSecret(ref.slice(7));
+  return ref;
+}
+
+// Vault entry for the handle in the active environment: "<handle>" by default, "<handle>@<env>" otherwise.
+function secretName(handle) { return environment ? `${handle}@${environment.name}` : handle; }
+
+function resolveApiKey(agent) { return readSecret(secretName(agent.handle)) || configuredApiKey(agent); }
+
+function migrateStateKey(handle) {
+  // Older instances kept the key in state.json; move it into the vault once.
+  const dir = instancePath(handle);
+  const state = readState(dir);
+  if (!state.api_key) return;
+  if (!readSecret(secretName(handle))) writeSecret(secretName(handle), state.api_key, "state.json");
+  writeState(dir, state);
+  console.log(`  ${handle}: moved API key from state.json into ${path.basename(vaultPath())}`);
+}
+
+function gitOutput(cwd, args) {
+  const result = spawnSync("git", args, { cwd, encoding: "utf8", timeout: 10_000 });
+  return result.status === 0 ? result.stdout : null;
+}
+
+function findGitRepos(dir, depth = 3) {
+  if (depth < 0 || !existsSync(dir)) return [];
+  if (existsSync(path.join(dir, ".git"))) return [dir];
+  return readdirSync(dir, { withFileTypes: true })
+    .filter((e) => e.isDirectory() && !["logs", "memory", "environments", "node_modules"].includes(e.name))
+    .flatMap((e) => findGitRepos(path.join(dir, e.name), depth - 1));
+}
+
+function checkSecretHygiene(handle) {
+  const dir = instancePath(handle);
+  const problems = [];
+
+  // The instance dir itself must not be committable from an enclosing checkout.
+  if (gitOutput(dir, ["rev-parse", "--is-inside-work-tree"])?.trim() === "true" && !existsSync(path.join(dir, ".git"))) {
+    for (const name of SECRET_FILES) {
+      if (gitOutput(dir, ["check-ignore", "-q", name]) === null) problems.push(`${name} is not gitignored by the enclosing repository`);
+    }
+  }
+
+  // Claimed repos are cloned inside the instance dir: keep credentials out of them.
+  for (const repo of findGitRepos(dir)) {
+    const exclude = path.join(repo, ".git", "info", "exclude");
+    const current = existsSync(exclude) ? readFileSync(exclude, "utf8") : "";
+    const missing = SECRET_FILES.filter((name) => !current.split("\n").includes(name));
+    if (missing.length) {
+      ensureDir(path.dirname(exclude));
+      writeFileSync(exclude, `${current}${current && !current.endsWith("\n") ? "\n" : ""}${missing.join("\n")}\n`);
+    }
+    const tracked = gitOutput(repo, ["ls-files", "--", ...SECRET_FILES.flatMap((name) => [name, `**/${name}`])]);
+    for (const file of (tracked || "").split("\n").filter(Boolean)) {
+      problems.push(`${path.relative(dir, path.join(repo, file))} is tracked in ${path.relative(dir, repo) || "."}`);
+    }
+  }
+
+  for (const problem of problems) {
+    console.warn(`  ${handle}: secret exposure: ${problem}`);
+    recordEvent(handle, "secret_exposure", { problem });
+  }
+  return problems;
+}
+
+async function secrets() {
+  const action = cli.positionals[0] || "list";
+  const handle = String(cli.positionals[1] || "").trim().toLowerCase();
+
+  if (action === "list") {
+    const vault = readVault();
+    console.log(`${vaultPath()} (${readJson(vaultPath(), {})?.cipher ? "encrypted" : "plain, mode 0600"})`);
+    for (const [name, entry] of Object.entries(vault.keys)) {
+      console.log(`  ${name.padEnd(24)} ${entry.api_key.slice(0, 6)}…  ${entry.source || ""}  ${entry.stored_at || ""}`);
+    }
+    return;
+  }
+
+  if (action === "set") {
+    if (!handle) throw new Error("Usage: secrets set <handle>  (reads the key from stdin)");
+    const input = readFileSync(0, "utf8").trim();
+    if (!input) throw new Error("No key on stdin");
+    writeSecret(secretName(handle), input, "manual");
+    console.log(`Stored key for ${secretName(handle)} in ${vaultPath()}`);
+    return;
+  }
+
+  if (action === "import") {
+    // Pull plaintext keys out of the config and state files into the vault.
+    for (const agent of (config.agents || []).filter((a) => a?.handle && a.api_key && !isKeyReference(a.api_key))) {
+      const name = String(agent.handle).toLowerCase();
+      if (!readSecret(name)) writeSecret(name, agent.api_key, "config");
+      console.log(`  ${name}: stored; replace its api_key in the config with "secret:${name}"`);
+    }
+    for (const name of allInstances()) migrateStateKey(name);
+    for (const name of allInstances()) {
+      const envPath = path.join(instancePath(name), ".env.local");
+      if (existsSync(envPath) && readFileSync(envPath, "utf8").includes("BEEHACK_API_KEY=")) writeFileSync(envPath, generateEnvLocal(name));
+    }
+    // Rewriting also encrypts a plain vault once a passphrase is set.
+    withVaultLock(() => writeVault(readVault()));
+    console.log(`Vault: ${vaultPath()} (${vaultPassphrase() ? "encrypted" : "plain, mode 0600"})`);
+    return;
+  }
+
+  throw new Error(`Unknown secrets action: ${action} (list, set, import)`);
+}
+
+// ---------------------------------------------------------------------------
+// Bootstrap — create instance folder, register, write CLAUDE.md + .env.local
+// ---------------------------------------------------------------------------
+
+function writeAgentSnapshot(agent) {
+  writeJson(path.join(instancePath(agent.handle), "agent.json"), {
+    handle: agent.handle,
+    name: agent.name,
+    repo_context: agent.repo_context || [],
+    schedule: agent.schedule,
+    model: agent.model,
+    personality: agent.personality,
+    budget: agent.budget,
+    backend: agent.backend,
+    role: agent.role,
+    prompt_template: agent.prompt_template,
+    created_at: formatDate(Date.now()),
+  });
+}
+
+function refreshAgentSnapshots() {
+  // agent.json stands in for handles dropped from the config, so keep it in step with config edits.
+  for (const [handle, raw] of agentConfigMap) {
+    if (!existsSync(instancePath(handle)) || isLocked(handle)) continue;
+    writeAgentSnapshot(normalizeAgent(raw, platform));
+  }
+}
+
+async function ensureAgentFiles(agent) {
+  const dir = instancePath(agent.handle);
+  ensureDir(dir);
+  writeAgentSnapshot(agent);
+
+  const claudeMdPath = path.join(dir, "CLAUDE.md");
+  if (!existsSync(claudeMdPath)) writeFileSync(claudeMdPath, renderInstructions(agent));
+  return dir;
+}
+
+async function registerAgent(agent, state) {
+  migrateStateKey(agent.handle);
+  const known = resolveApiKey(agent);
+  if (known) {
+    if (!state.registered_at) {
+      state.registered_at = formatDate(Date.now());
+      recordEvent(agent.handle, "registration", { source: agent.api_key ? "config" : "vault" });
+    }
+    return known;
+  }
+  const envFlag = environment ? ` --env ${environment.name}` : "";
+  if (agent.api_key) throw new Error(`api_key ${agent.api_key} does not resolve; set it or run \`secrets set ${agent.handle}${envFlag}\``);
+  if (environment?.registration === "manual") {
+    throw new Error(`${environment.name} does not allow registration; store a key with \`secrets set ${agent.handle}${envFlag}\``);
+  }
+
+  const response = await postRegistration(agent, `secrets set ${agent.handle}${envFlag}`);
+  const apiKey = response?.config?.api_key;
+  if (!apiKey) return null;
+  writeSecret(secretName(agent.handle), apiKey, "register");
+  state.profile_url = response?.config?.profile_url;
+  state.registered_at = formatDate(Date.now());
+  logAgent(agent, "registered");
+  recordEvent(agent.handle, "registration", { source: "api", profile_url: state.profile_url || null });
+  return apiKey;
+}
+
+async function postRegistration(agent, secretsCommand) {
+  const body = {
+    name: agent.name,
+    handle: agent.handle,
+    description: `Sources: ${(agent.repo_context || []).slice(0, 5).join(", ") || "not configured"}`,
+  };
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await apiCall(null, "POST", "/register", body);
+    } catch (error) {
+      // apiCall already retried what the server can't have seen. A 5xx or timeout may have created the
+      // account, so only post again once the handle is confirmed to be still free.
+      if (!error.transient || error.unsent || attempt >= platform.retry.max_attempts) throw error;
+      if (await handleRegistered(agent.handle)) {
+        throw new Error(`${error.message}; ${agent.handle} exists on the platform now, so the registration landed but its key was lost. Store the key with \`${secretsCommand}\``);
+      }
+      await sleep(retryDelay(attempt, error, retryRng(`register:${agent.handle}`)));
+    }
+  }
+}
+
+async function handleRegistered(handle) {
+  try {
+    const profile = await apiCall(null, "GET", `/users/profile?name=${encodeURIComponent(handle)}`);
+    return Boolean(profile?.user);
+  } catch (error) {
+    if (error.status === 404) return false;
+    throw new Error(`cannot tell whether ${handle} was registered: ${error.message}`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Circuit breaker — back off after failed runs, suspend after repeated ones
+// ---------------------------------------------------------------------------
+
+function recordRunOutcome(agent, state, error) {
+  if (!error) {
+    state.consecutive_failures = 0;
+    delete state.last_error;
+    state.next_run_at = nextRunAtFrom(Date.now(), agent.schedule, agentRng(agent.handle, state, "next"));
+    return;
+  }
+
+  const { suspend_after, backoff_factor, max_backoff_minutes } = platform.circuit_breaker;
+  const failures = (state.consecutive_failures || 0) + 1;
+  const backoffMinutes = Math.min(max_backoff_minutes, agent.schedule.interval_minutes * backoff_factor ** failures);
+  state.consecutive_failures = failures;
+  state.last_error = error;
+  state.next_run_at = formatDate(Date.now() + backoffMinutes * 60_000);
+  logAgent(agent, `failure ${failures} in a row; next attempt in ${Math.round(backoffMinutes)} min`);
+
+  if (suspend_after > 0 && failures >= suspend_after && !state.suspended) {
+    state.suspended = true;
+    state.suspended_at = formatDate(Date.now());
+    state.suspended_reason = `${failures} consecutive failures; last: ${error}`;
+    logAgent(agent, `suspended: ${state.suspended_reason}`);
+    recordEvent(agent.handle, "suspended", { reason: state.suspended_reason });
+    console.warn(`  ${agent.handle} suspended after ${failures} consecutive failures; run \`resume ${agent.handle}\` to re-enable`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Session audit — verify what a session did against the platform, not its stdout
+// ---------------------------------------------------------------------------
+
+const DONE_STATUSES = ["done", "completed", "closed"];
+
+// Write routes as recorded in api_action events → the audit field that should reflect them.
+const AUDITED_ROUTES = [
+  ["POST", /^\/posts$/, "posts"],
+  ["POST", /^\/posts\/[^/]+\/comments$/, "comments"],
+  ["POST", /^\/posts\/[^/]+\/claim$/, "claims"],
+  ["POST", /^\/messages$/, "dms"],
+  ["POST", /^\/comments\/[^/]+\/vote$/, "votes"],
+];
+
+async function auditSnapshot(handle, apiKey) {
+  const [profile, inbox, messages] = await Promise.all([
+    apiCall(apiKey, "GET", `/users/profile?name=${encodeURIComponent(handle)}`),
+    apiCall(apiKey, "GET", "/notifications"),
+    apiCall(apiKey, "GET", "/messages").catch(() => null),
+  ]);
+  return {
+    posts: (profile?.posts || []).map((p) => p.id),
+    comments: (profile?.comments || []).map((c) => c.id),
+    claims: Object.fromEntries((profile?.claimed_tasks || []).map((p) => [p.id, p.status])),
+    dms: messages ? (messages.messages || []).filter((m) => m.from === handle).map((m) => m.id) : null,
+    // Not every deployment lists a user's votes; without them the count is unverified.
+    votes: Array.isArray(profile?.votes) ? Object.fromEntries(profile.votes.map((v) => [v.comment_id, v.value])) : null,
+    unread: (inbox?.notifications || []).filter((n) => !n.read).map((n) => n.id),
+  };
+}
+
+async function takeAuditSnapshot(agent, apiKey) {
+  if (!platform.audit.enabled) return null;
+  try {
+    return await auditSnapshot(agent.handle, apiKey);
+  } catch (error) {
+    logAgent(agent, `audit snapshot failed: ${error.message}`);
+    return { error: error.message };
+  }
+}
+
+function auditDiff(before, after) {
+  const added = (a, b) => (a && b ? b.filter((id) => !a.includes(id)) : null);
+  const claims = Object.keys(after.claims).filter((id) => !(id in before.claims));
+  const completed = Object.entries(after.claims)
+    .filter(([id, status]) => DONE_STATUSES.includes(status) && !DONE_STATUSES.includes(before.claims[id]))
+    .map(([id]) => id);
+  const votes = before.votes && after.votes
+    ? Object.entries(after.votes).filter(([id, value]) => before.votes[id] !== value).map(([id]) => id)
+    : null;
+  return {
+    posts: added(before.posts, after.posts),
+    comments: added(before.comments, after.comments),
+    claims,
+    completed,
+    dms: added(before.dms, after.dms),
+    votes,
+    notifications_read: before.unread.filter((id) => !after.unread.includes(id)).length,
+    open_claims: Object.values(after.claims).filter((status) => !DONE_STATUSES.includes(status)).length,
+  };
+}
+
+function auditViolations(diff, before, apiActions) {
+  const violations = [];
+  const writes = ["posts", "comments", "claims", "dms", "votes"].reduce((sum, key) => sum + (diff[key]?.length || 0), 0);
+  if (writes > platform.max_actions_per_agent_per_cycle) {
+    violations.push({ rule: "too_many_actions", detail: `${writes} write actions (limit ${platform.max_actions_per_agent_per_cycle})` });
+  }
+
+  const openBefore = Object.values(before.claims).filter((status) => !DONE_STATUSES.includes(status)).length;
+  if (openBefore > 0 && diff.claims.length > diff.completed.length) {
+    violations.push({ rule: "claims_outpace_completions", detail: `claimed ${diff.claims.length}, completed ${diff.completed.length}, with ${openBefore} claim(s) already open` });
+  }
+  if (diff.claims.length > 0 && diff.open_claims > platform.audit.max_open_claims) {
+    violations.push({ rule: "too_many_open_claims", detail: `${diff.open_claims} open claims (limit ${platform.audit.max_open_claims})` });
+  }
+
+  // Calls the transcript shows were made but whose result is not on the platform (failed or invented).
+  for (const [method, pattern, key] of AUDITED_ROUTES) {
+    const reported = apiActions.filter((a) => a.method === method && pattern.test(a.route)).length;
+    const verified = diff[key]?.length;
+    if (verified !== undefined && verified !== null && reported > verified) {
+      violations.push({ rule: "unverified_actions", detail: `${reported} ${key} reported, ${verified} found on the platform` });
+    }
+  }
+  return violations;
+}
+
+function auditSession(agent, before, after, apiActions) {
+  if (!before || !after) return null;
+  if (before.error || after.error) return { error: before.error || after.error };
+  const diff = auditDiff(before, after);
+  const violations = auditViolations(diff, before, apiActions);
+  for (const violation of violations) {
+    logAgent(agent, `audit: ${violation.rule} — ${violation.detail}`);
+    console.warn(`  ${agent.handle} audit: ${violation.rule} — ${violation.detail}`);
+  }
+  return { ...diff, violations };
+}
+
+// ---------------------------------------------------------------------------
+// Run agent — spawn claude session
+// ---------------------------------------------------------------------------
+
+async function runAgent(agentConfig, state, { overlay = "", scenario = null } = {}) {
+  const dir = await ensureAgentFiles(agentConfig);
+  const apiKey = await registerAgent(agentConfig, state);
+
+  if (!apiKey) {
+    logAgent(agentConfig, "missing API key; skipping");
+    return "no_key";
+  }
+
+  writeFileSync(path.join(dir, ".env.local"), generateEnvLocal(agentConfig.handle));
+
+  state.run_count = (state.run_count || 0) + 1;
+  if (platform.sources.enabled) await syncSources(agentConfig);
+  const memory = await refreshMemory(agentConfig, apiKey);
+  const prompt = buildSessionPrompt(agentConfig, memory, overlay);
+  const startedAt = Date.now();
+  const sessionId = new Date(startedAt).toISOString().replace(/[:.]/g, "-");
+  const logsDir = path.join(envDir(dir), "logs");
+  ensureDir(logsDir);
+  const logFile = path.join(logsDir, `${sessionId}.log`);
+  const transcript = path.relative(dir, logFile).split(path.sep).join("/");
+  // Created up front: spawned backends stream into it, and the dashboard finds the running session by it.
+  writeFileSync(logFile, "");
+  const backend = resolveBackend(agentConfig);
+  const session = { outcome: "success", output: "", exitCode: null, signal: null, error: null, actions: [], usage: null, format: null };
+  const ctx = {
+    apiKey, state, prompt,
+    instanceDir: dir,
+    timeoutMs: Math.min(SESSION_TIMEOUT, remainingSessionMs(agentConfig, state)),
+    sandbox: sandboxSettings(backend),
+    liveLog: logFile,
+  };
+  const auditBefore = await takeAuditSnapshot(agentConfig, apiKey);
+
+  try {
+    console.log(`  starting ${backend.name} session for ${agentConfig.handle}...`);
+    const result = await BACKEND_TYPES[backend.type].run(agentConfig, backend, ctx);
+    Object.assign(session, {
+      output: result.output || "",
+      exitCode: result.exitCode ?? null,
+      signal: result.signal ?? null,
+      actions: result.actions || [],
+      usage: result.usage || null,
+      format: result.format || null,
+      truncated: Boolean(result.truncated),
+    });
+  } catch (err) {
+    Object.assign(session, {
+      outcome: err.timedOut ? "timeout" : "error",
+      output: err.output || "",
+      exitCode: err.exitCode ?? null,
+      signal: err.signal ?? null,
+      error: err.message,
+      actions: err.actions || [],
+      usage: err.usage || null,
+      format: err.format || null,
+      truncated: Boolean(err.truncated),
+    });
+    logAgent(agentConfig, `session failed: ${err.message}`);
+    console.error(`  ${agentConfig.handle} session error: ${err.message}`);
+  }
+  const endedAt = Date.now();
+  const outsideWrites = BACKEND_TYPES[backend.type].spawns ? checkSessionWrites(agentConfig, startedAt) : [];
+  const auditAfter = auditBefore && await takeAuditSnapshot(agentConfig, apiKey);
+
+  if (session.output) {
+    writeFileSync(logFile, session.output);
+    logAgent(agentConfig, `session ${session.outcome} (${session.output.length} chars) → ${transcript}`);
+    console.log(`  ${agentConfig.handle} session done → ${logFile}`);
+  } else {
+    writeFileSync(logFile, "No output\n");
+    logAgent(agentConfig, `session ${session.outcome}: no output`);
+  }
+
+  // `--output-format json` prints a single result line, so usage is parsed for any CLI output.
+  const parsed = session.format === "codex-json" ? parseCodexJson(session.output) : parseStreamJson(session.output);
+  const structured = session.format === "stream-json" || session.format === "codex-json";
+  const toolCalls = structured ? parsed.toolCalls : [];
+  const apiActions = structured ? parsed.apiActions : session.actions;
+  const usage = session.usage || parsed.usage;
+  chargeBudget(state, endedAt - startedAt, usage);
+  for (const call of toolCalls) recordEvent(agentConfig.handle, "tool_call", { session_id: sessionId, ...call });
+  for (const action of apiActions) recordEvent(agentConfig.handle, "api_action", { session_id: sessionId, ...action });
+  const audit = auditSession(agentConfig, auditBefore, auditAfter, apiActions);
+  for (const violation of audit?.violations || []) recordEvent(agentConfig.handle, "audit_violation", { session_id: sessionId, ...violation });
+
+  recordEvent(agentConfig.handle, "session", {
+    session_id: sessionId,
+    backend: backend.name,
+    started_at: formatDate(startedAt),
+    ended_at: formatDate(endedAt),
+    duration_ms: endedAt - startedAt,
+    outcome: session.outcome,
+    exit_code: session.exitCode,
+    signal: session.signal,
+    error: session.error,
+    prompt_hash: hashText(prompt),
+    seed: cycleSeed,
+    model: agentConfig.model,
+    output_bytes: Buffer.byteLength(session.output),
+    transcript,
+    tool_calls: toolCalls.length,
+    api_actions: apiActions.length,
+    output_truncated: session.truncated || false,
+    outside_writes: outsideWrites.length,
+    ...(audit ? { audit } : {}),
+    ...(scenario ? { scenario } : {}),
+    ...(usage ? { usage } : {}),
+  });
+
+  checkSecretHygiene(agentConfig.handle);
+  state.last_run = formatDate(Date.now());
+  recordRunOutcome(agentConfig, state, session.outcome === "success" ? null : session.error || session.outcome);
+  writeState(dir, state);
+  return session.outcome;
+}
+
+// ---------------------------------------------------------------------------
+// Scheduler
+// ---------------------------------------------------------------------------
+
+function allInstances() {
+  if (!existsSync(instanceRoot)) return [];
+  const entries = readdirSync(instanceRoot, { withFileTypes: true })
+    .filter((e) => e.isDirectory() && !e.name.startsWith("."))
+    .map((e) => e.name)
+    .sort(); // readdir order varies by filesystem; a fixed order keeps seeded shuffles reproducible
+  return platform.restrict_to_config ? entries.filter((h) => agentConfigMap.has(h)) : entries;
+}
+
+async function runPool(items, limit, worker) {
+  const queue = [...items];
+  const workers = Array.from({ length: Math.min(Math.max(1, limit), queue.length) }, async () => {
+    while (queue.length > 0) await worker(queue.shift());
+  });
+  await Promise.all(workers);
+}
+
+async function runInstance(item, scheduledAt, { requireDue = item.template.schedule.only_due, manual = false } = {}) {
+  const { template, dir } = item;
+  const outcome = await withLock(template.handle, async () => {
+    // Another invocation may have run this agent since we scanned; trust the file, not the scan.
+    // A manual run (run-now) skips the due, backoff, suspension and pause checks, but not budgets.
+    const state = readState(dir);
+    const nextRunAt = state.next_run_at || item.nextRun;
+    if (!manual && (requireDue || state.consecutive_failures > 0) && !isDue(nextRunAt)) return "not_due";
+    if (!manual && state.suspended) return "suspended";
+    if (!manual && state.paused) return "paused";
+
+    const overBudget = budgetBlockReason(template, state);
+    if (overBudget) {
+      logAgent(template, `skipped: over budget (${overBudget})`);
+      recordEvent(template.handle, "budget_skip", { reason: overBudget });
+      writeState(dir, { ...state, next_run_at: nextRunAtFrom(Date.now(), template.schedule, agentRng(template.handle, state, "budget")), last_budget_skip: overBudget });
+      return `over budget (${overBudget})`;
+    }
+
+    // Reserve the session before the first await so parallel workers see it in platform usage.
+    sessionsInFlight++;
+    const merged = { ...state, next_run_at: nextRunAt, last_scheduled: scheduledAt };
+    if (manual) {
+      merged.last_manual_run_at = scheduledAt;
+      logAgent(template, "manual run (run-now)");
+      recordEvent(template.handle, "manual_run", { was_due: isDue(nextRunAt) });
+    }
+    try {
+      await runAgent(template, merged);
+    } catch (error) {
+      merged.last_run = formatDate(Date.now());
+      logAgent(template, `cycle failed: ${error.message}`);
+      recordRunOutcome(template, merged, error.message);
+      writeState(dir, merged);
+    } finally {
+      sessionsInFlight--;
+    }
+    return "ran";
+  });
+
+  if (outcome.locked) console.log(`  ${template.handle} is busy in another run; skipping`);
+  else if (outcome.value === "not_due") console.log(`  ${template.handle} already ran elsewhere; skipping`);
+  else if (outcome.value !== "ran") console.log(`  ${template.handle} ${outcome.value}; skipping`);
+}
+
+async function persistSchedule(item) {
+  const outcome = await withLock(item.handle, () => {
+    const state = readState(item.dir);
+    writeState(item.dir, {
+      ...state,
+      next_run_at: state.next_run_at || item.nextRun,
+      handle: item.handle,
+      updated_at: formatDate(Date.now()),
+    });
+  });
+  // A locked instance is mid-session; its owner writes the state when it finishes.
+  return !outcome.locked;
+}
+
+function scanInstances() {
+  const tracked = [];
+  for (const handle of allInstances()) {
+    const dir = instancePath(handle);
+    let template, state;
+    try {
+      template = loadAgent(handle);
+      state = readState(dir);
+      if (!state.next_run_at) {
+        state.next_run_at = initialRunAt(template.schedule, Date.now(), agentRng(handle, state, "initial"));
+        state.run_count = 0;
+      }
+    } catch (error) {
+      // A corrupt agent.json or state.json sidelines that instance, not the whole pass.
+      console.error(`  ${handle}: skipped, cannot read its files: ${error.message}`);
+      continue;
+    }
+
+    const busy = isLocked(handle);
+    // A failing agent waits out its backoff even when only_due is off.
+    const mustWait = template.schedule.only_due || state.consecutive_failures > 0;
+    const shouldRun = !busy && !state.suspended && !state.paused && (mustWait ? isDue(state.next_run_at) : true);
+    const nextRun = state.next_run_at;
+    tracked.push({ template, state, handle, dir, nextRun, shouldRun, busy });
+  }
+  return tracked;
+}
+
+function describeUpcoming(tracked) {
+  return tracked
+    .filter((i) => i.nextRun)
+    .sort((a, b) => Date.parse(a.nextRun) - Date.parse(b.nextRun))
+    .slice(0, 5)
+    .map((i) => `${i.handle} at ${i.nextRun}`)
+    .join(", ");
+}
+
+async function runScheduler() {
+  const now = formatDate(Date.now());
+  ensureDir(instanceRoot);
+
+  const allTracked = scanInstances();
+  const runNow = shuffle(allTracked.filter((i) => i.shouldRun), cycleRng(allTracked));
+
+  const busyCount = allTracked.filter((i) => i.busy).length;
+  console.log(`Scheduler at ${now} (${environment ? `env ${environment.name}, ` : ""}seed ${cycleSeed}, total instances: ${allTracked.length}${busyCount ? `, busy: ${busyCount}` : ""})`);
+
+  if (cli.options["dry-run"]) {
+    console.log(`Dry run: ${runNow.length} agent(s) would start, up to ${platform.max_parallel_runs} at a time; nothing is written`);
+    for (const item of runNow) await dryRunInstance(item);
+    const unscheduled = allTracked.filter((x) => !x.shouldRun && !x.busy && !readState(x.dir).next_run_at);
+    for (const item of unscheduled) console.log(`
+${item.handle}: not due; next_run_at → ${item.nextRun} (first schedule)`);
+    return;
+  }
+
+  if (runNow.length === 0) {
+    console.log(`No agent due now. Next: ${describeUpcoming(allTracked) || "none"}`);
+  } else {
+    console.log(`Running ${runNow.length} due agent(s), up to ${platform.max_parallel_runs} at a time`);
+    recordEvent(null, "cycle", { seed: cycleSeed, started: runNow.map((i) => i.handle) });
+    await runPool(runNow, platform.max_parallel_runs, (item) => runInstance(item, now));
+  }
+
+  for (const item of allTracked.filter((x) => !x.shouldRun && !x.busy)) {
+    await persistSchedule(item);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Dry run & schedule simulation — preview the scheduler without side effects
+// ---------------------------------------------------------------------------
+
+function shellQuote(arg) { return /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${String(arg).replaceAll("'", "'\\''")}'`; }
+
+async function describeSessionCommand(agent, backend, ctx) {
+  if (backend.type === "scripted") return "(in-process scripted driver)";
+  if (backend.type === "openai") return `POST ${normalizeBase(backend.base_url || "http://localhost:11434/v1")}/chat/completions (model ${agent.model || backend.model || "default"})`;
+  const { cmd, args } = (await BACKEND_TYPES[backend.type].run(agent, backend, { ...ctx, dryRun: true })).dryRun;
+  const redact = (arg) => {
+    let out = ctx.prompt ? String(arg).replaceAll(ctx.prompt, "<prompt>") : String(arg);
+    if (ctx.apiKey) out = out.replaceAll(ctx.apiKey, "<redacted>");
+    return out;
+  };
+  return [cmd, ...args].map((arg) => shellQuote(redact(arg))).join(" ");
+}
+
+async function dryRunInstance(item) {
+  const { template: agent, state, dir } = item;
+  console.log(`\n${agent.handle}${state.consecutive_failures ? ` (after ${state.consecutive_failures} failure(s))` : ""}`);
+  const overBudget = budgetBlockReason(agent, state);
+  if (overBudget) {
+    console.log(`  would skip: over budget (${overBudget})`);
+    console.log(`  next_run_at → ${nextRunAtFrom(Date.now(), agent.schedule, agentRng(agent.handle, state, "budget"))}`);
+    return;
+  }
+
+  const apiKey = resolveApiKey(agent);
+  if (!apiKey) console.log("  would register first (no API key yet)");
+  const backend = resolveBackend(agent);
+  const memory = await refreshMemory(agent, cli.options["skip-platform"] ? null : apiKey, { write: false });
+  const prompt = buildSessionPrompt(agent, memory);
+  const ctx = {
+    apiKey, state, prompt,
+    instanceDir: dir,
+    timeoutMs: Math.min(SESSION_TIMEOUT, remainingSessionMs(agent, state)),
+    sandbox: sandboxSettings(backend),
+  };
+  console.log(`  backend: ${backend.name} (${backend.type}), timeout ${Math.round(ctx.timeoutMs / 1000)}s`);
+  console.log(`  command: ${await describeSessionCommand(agent, backend, ctx)}`);
+  // runAgent bumps run_count before the outcome is recorded, so draw from the stream the real run will use.
+  const next = nextRunAtFrom(Date.now(), agent.schedule, agentRng(agent.handle, { run_count: (state.run_count || 0) + 1 }, "next"));
+  console.log(`  next_run_at → ${next} (after a successful session that ends now)`);
+  console.log(`  prompt (template ${sessionTemplateName(agent)}):`);
+  console.log(prompt.split("\n").map((line) => `    ${line}`).join("\n"));
+}
+
+function simulateAgent(agent, startTs, endTs, tickMs, fromState) {
+  // Replays the due check and nextRunAtFrom on a virtual clock, assuming every session succeeds instantly.
+  const state = fromState ? readState(instancePath(agent.handle)) : {};
+  const stored = Date.parse(state.next_run_at);
+  const rng = createRng(`${cycleSeed}:${agent.handle}:simulate`);
+  let next = Number.isFinite(stored) ? stored : Date.parse(initialRunAt(agent.schedule, startTs, rng));
+  const limit = agent.budget.max_sessions_per_day ?? platform.budget.max_sessions_per_day;
+  const perDay = new Map();
+  const wakes = [];
+
+  let now = startTs;
+  while (now < endTs && Number.isFinite(next)) {
+    // cron-style invocations see the agent at the first tick after it is due; the daemon wakes exactly on time
+    now = tickMs ? Math.max(now, Math.ceil(next / tickMs) * tickMs) : Math.max(now, next);
+    if (now >= endTs || !isDue(formatDate(next), now)) break;
+    const day = formatDate(now).slice(0, 10);
+    const skipped = limit !== null && limit !== undefined && (perDay.get(day) || 0) >= limit;
+    if (!skipped) perDay.set(day, (perDay.get(day) || 0) + 1);
+    wakes.push({ handle: agent.handle, at: formatDate(now), local: formatLocal(now, agent.schedule.timezone), skipped: skipped ? "budget" : null });
+    next = Date.parse(nextRunAtFrom(now, agent.schedule, rng));
+    if (tickMs) now += tickMs;
+  }
+  return wakes;
+}
+
+function summarizeWakes(handle, wakes, startTs, endTs) {
+  const times = wakes.filter((w) => !w.skipped).map((w) => Date.parse(w.at));
+  const gaps = times.slice(1).map((t, i) => (t - times[i]) / 60_000);
+  const round = (n) => Math.round(n * 10) / 10;
+  return {
+    handle,
+    wakes: times.length,
+    budget_skips: wakes.length - times.length,
+    per_day: round(times.length / ((endTs - startTs) / 86_400_000)),
+    min_gap_min: gaps.length ? round(Math.min(...gaps)) : null,
+    avg_gap_min: gaps.length ? round(gaps.reduce((a, b) => a + b, 0) / gaps.length) : null,
+    max_gap_min: gaps.length ? round(Math.max(...gaps)) : null,
+    first: wakes[0]?.at || null,
+  };
+}
+
+async function simulateSchedule() {
+  const hours = Number(cli.options.hours ?? 48);
+  if (!(hours > 0)) throw new Error("--hours must be a positive number");
+  const tickMs = Math.max(0, Number(cli.options.tick ?? 0)) * 60_000;
+  const startTs = cli.options.start ? parseTimeArg(cli.options.start, Date.now()) : Date.now();
+  const endTs = startTs + hours * 3_600_000;
+
+  const wanted = cli.positionals.map((h) => String(h).trim().toLowerCase());
+  const handles = [...new Set([...agentConfigMap.keys(), ...allInstances()])].filter((h) => wanted.length === 0 || wanted.includes(h));
+  if (handles.length === 0) throw new Error(`No agents to simulate in ${configPath}`);
+
+  const agents = handles.map((h) => loadAgent(h));
+  const timeline = agents.flatMap((agent) => simulateAgent(agent, startTs, endTs, tickMs, !cli.options.start)).sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+  const summary = agents.map((agent) => summarizeWakes(agent.handle, timeline.filter((w) => w.handle === agent.handle), startTs, endTs));
+
+  if (cli.options.format === "json") {
+    console.log(JSON.stringify({ start: formatDate(startTs), end: formatDate(endTs), tick_minutes: tickMs / 60_000, summary, timeline }, null, 2));
+    return;
+  }
+  console.log(`Simulated ${hours}h from ${formatDate(startTs)} (${tickMs ? `cron every ${tickMs / 60_000} min` : "daemon timing"}); nothing is written\n`);
+  for (const wake of timeline) console.log(`${wake.at}  ${wake.handle.padEnd(20)} ${wake.local}${wake.skipped ? "  (skipped: daily session budget)" : ""}`);
+  console.log(`\nhandle\twakes\tper_day\tbudget_skips\tmin_gap_min\tavg_gap_min\tmax_gap_min`);
+  for (const s of summary) console.log([s.handle, s.wakes, s.per_day, s.budget_skips, s.min_gap_min ?? "-", s.avg_gap_min ?? "-", s.max_gap_min ?? "-"].join("\t"));
+}
+
+// ---------------------------------------------------------------------------
+// Daemon — long-running replacement for cron
+// ---------------------------------------------------------------------------
+
+async function daemon() {
+  ensureDir(instanceRoot);
+  const inFlight = new Map();
+  // Handles whose dispatch threw before a session outcome was recorded; without a pause they'd be retried in a tight loop.
+  const retryAt = new Map();
+  let stopping = false;
+  let wake = null;
+  let wakePending = false;
+  const wakeUp = () => { if (wake) wake(); else wakePending = true; };
+
+  const onSignal = (signal) => {
+    if (stopping) {
+      console.log(`${signal} received again; killing ${activeChildren.size} session(s)`);
+      killActiveChildren("SIGKILL");
+      return;
+    }
+    stopping = true;
+    console.log(`${signal} received; waiting up to ${platform.daemon_shutdown_grace_ms}ms for ${inFlight.size} session(s)`);
+    setTimeout(() => killActiveChildren("SIGTERM"), platform.daemon_shutdown_grace_ms).unref();
+    wakeUp();
+  };
+  process.on("SIGINT", onSignal);
+  process.on("SIGTERM", onSignal);
+
+  let configMtime = fileMtime(configPath);
+  console.log(`Daemon started (pid ${process.pid}, config ${configPath}, ${environment ? `env ${environment.name}, ` : ""}seed ${cycleSeed})`);
+
+  while (!stopping) {
+    const mtime = fileMtime(configPath);
+    if (mtime !== configMtime) {
+      configMtime = mtime;
+      try {
+        loadConfig();
+        refreshAgentSnapshots();
+        console.log(`[${formatDate(Date.now())}] config reloaded`);
+      } catch (error) {
+        console.error(`[${formatDate(Date.now())}] config reload failed, keeping previous: ${error.message}`);
+      }
+    }
+
+    let delay = platform.daemon_poll_ms;
+    try {
+      const tracked = scanInstances();
+      for (const item of tracked.filter((i) => !i.busy && !readState(i.dir).next_run_at)) {
+        await persistSchedule(item).catch((error) => console.error(`  ${item.handle}: cannot save its schedule: ${error.message}`));
+      }
+
+      // The daemon always honours next_run_at; only_due=false would otherwise spin.
+      const due = shuffle(tracked.filter((i) => !i.busy && !i.state.suspended && !i.state.paused && !inFlight.has(i.handle) && isDue(i.nextRun) && !(retryAt.get(i.handle) > Date.now())), cycleRng(tracked));
+      const dispatched = due.slice(0, Math.max(0, platform.max_parallel_runs - inFlight.size));
+      if (dispatched.length > 0) recordEvent(null, "cycle", { seed: cycleSeed, started: dispatched.map((i) => i.handle) });
+      for (const item of dispatched) {
+        console.log(`[${formatDate(Date.now())}] dispatching ${item.handle}`);
+        const run = runInstance(item, formatDate(Date.now()), { requireDue: true })
+          .catch((error) => {
+            console.error(`  ${item.handle} dispatch failed: ${error.message}`);
+            retryAt.set(item.handle, Date.now() + platform.daemon_poll_ms);
+          })
+          .finally(() => { inFlight.delete(item.handle); wakeUp(); });
+        inFlight.set(item.handle, run);
+      }
+
+      const waiting = tracked.filter((i) => !inFlight.has(i.handle) && !i.busy && !i.state.suspended && !i.state.paused);
+      const earliest = Math.min(...waiting.map((i) => Date.parse(i.nextRun)).filter(Number.isFinite));
+      const untilNext = Number.isFinite(earliest) ? earliest - Date.now() : platform.daemon_poll_ms;
+      delay = Math.min(platform.daemon_poll_ms, Math.max(1000, untilNext));
+    } catch (error) {
+      // One unreadable state.json or agent.json must not take the daemon down; retry after a poll interval.
+      console.error(`[${formatDate(Date.now())}] scheduling pass failed: ${error.message}`);
+    }
+
+    if (wakePending) { wakePending = false; continue; }
+    await new Promise((resolve) => {
+      const timer = setTimeout(() => { wake = null; resolve(); }, delay);
+      wake = () => { clearTimeout(timer); wake = null; resolve(); };
+    });
+  }
+
+  await Promise.allSettled(inFlight.values());
+  process.off("SIGINT", onSignal);
+  process.off("SIGTERM", onSignal);
+  console.log("Daemon stopped");
+}
+
+// ---------------------------------------------------------------------------
+// Bootstrap
+// ---------------------------------------------------------------------------
+
+async function bootstrapAgent(agent) {
+  ensureDir(instancePath(agent.handle));
+  if (platform.sources.enabled && agent.repo_context.some(isRemoteSource)) {
+    const c = await syncSources(agent, { force: Boolean(cli.options.force) });
+    console.log(`  sources: ${c.fetched} updated, ${c.unchanged} unchanged, ${c.fresh} fresh, ${c.failed} failed`);
+  }
+  const refreshed = await ensurePersona(agent, { refresh: Boolean(cli.options["refresh-persona"]) });
+  const dir = await ensureAgentFiles(agent);
+  const instructions = instructionsStatus(agent);
+  if (instructions.stale && refreshed && cli.options["refresh-persona"]) {
+    // Same contract as update-instructions: show the diff, overwrite only with --yes.
+    console.log(`  CLAUDE.md would change (${instructions.reasons.join("; ")}):`);
+    console.log(lineDiff(instructions.current, instructions.next));
+    if (cli.options.yes) {
+      writeInstructions(agent, instructions);
+      console.log("  CLAUDE.md re-rendered with the new persona");
+    } else {
+      console.log("  CLAUDE.md left as is; re-run with --yes to write it");
+    }
+  } else if (instructions.stale) {
+    console.log(`  CLAUDE.md is out of date (${instructions.reasons.join("; ")}); run update-instructions`);
+  }
+  migrateStateKey(agent.handle);
+  const state = readState(dir);
+
+  if (!state.next_run_at) state.next_run_at = initialRunAt(agent.schedule, Date.now(), agentRng(agent.handle, state, "initial"));
+
+  const known = Boolean(resolveApiKey(agent));
+  try {
+    const apiKey = await registerAgent(agent, state);
+    console.log(known ? "  already registered" : apiKey ? "  registered" : "  registration returned no key");
+  } catch (error) {
+    state.last_error = `registration failed: ${error.message}`;
+    console.warn(`  registration failed: ${error.message}`);
+  }
+
+  writeFileSync(path.join(dir, ".env.local"), generateEnvLocal(agent.handle));
+  checkSecretHygiene(agent.handle);
+  state.updated_at = formatDate(Date.now());
+  writeState(dir, state);
+  logAgent(agent, "bootstrapped");
+  console.log(`  done: ${dir}`);
+}
+
+async function bootstrap() {
+  ensureDir(instanceRoot);
   const entries = Array.isArray(config.agents) ? config.agents : [];
   if (entries.length === 0) throw new Error(`No agents found in config: ${configPath}`);
 
-  for (const raw of entries) {
-    const agent = normalizeAgent(raw, platform);
-    console.log(`\n${agent.handle}...`);
+  for (const raw of entries) {
+    const agent = normalizeAgent(raw, platform);
+    console.log(`\n${agent.handle}...`);
+
+    const outcome = await withLock(agent.handle, () => bootstrapAgent(agent));
+    if (outcome.locked) console.log(`  busy in another run; skipping`);
+  }
+
+  console.log(`\nBootstrap complete. Instances: ${instanceRoot}`);
+}
+
+// ---------------------------------------------------------------------------
+// Lifecycle — add, remove, pause, resume, run-now, reset
+// ---------------------------------------------------------------------------
+
+const ARCHIVE_DIR = ".archive";
+
+function handleArg(usage) {
+  const handle = String(cli.positionals[0] || "").trim().toLowerCase();
+  if (!handle) throw new Error(`Usage: ${usage}`);
+  return handle;
+}
+
+function requireInstance(handle) {
+  const dir = instancePath(handle);
+  if (!existsSync(dir)) throw new Error(`No instance for ${handle} in ${instanceRoot}`);
+  return dir;
+}
+
+function targetHandles(usage) {
+  if (cli.options.all) return allInstances();
+  if (cli.positionals.length === 0) throw new Error(`Usage: ${usage}`);
+  return cli.positionals.map((h) => String(h).trim().toLowerCase());
+}
+
+function writeConfig(next) {
+  // Validate before writing so a bad add/remove cannot leave an agents.json every command rejects.
+  const errors = validateConfig(next).filter((issue) => issue.level === "error");
+  if (errors.length > 0) throw new Error(errors.map((issue) => `${issue.path} ${issue.message}`).join("; "));
+  writeJson(configPath, next);
+  loadConfig({ quiet: true });
+}
+
+async function addAgent() {
+  const handle = handleArg("add <handle> [--name <name>] [--model <model>] [--backend <name>] [--repo <url,url>]");
+  if (!HANDLE_PATTERN.test(handle)) throw new Error(`Invalid handle "${handle}": use 3–30 letters, numbers or _`);
+  if (agentConfigMap.has(handle)) throw new Error(`${handle} is already in ${configPath}`);
+
+  const entry = { handle };
+  if (cli.options.name) entry.name = cli.options.name;
+  if (cli.options.model) entry.model = cli.options.model;
+  if (cli.options.backend) entry.backend = cli.options.backend;
+  if (cli.options.repo) entry.repo_context = String(cli.options.repo).split(",").map((s) => s.trim()).filter(Boolean);
+
+  writeConfig({ ...config, agents: [...(Array.isArray(config.agents) ? config.agents : []), entry] });
+  console.log(`Added ${handle} to ${configPath}`);
+
+  ensureDir(instanceRoot);
+  const agent = normalizeAgent(entry, platform);
+  const outcome = await withLock(handle, () => bootstrapAgent(agent));
+  if (outcome.locked) throw new Error(`${handle} is busy in another run; bootstrap it later`);
+  recordEvent(handle, "added", {});
+}
+
+async function removeAgent() {
+  const handle = handleArg("remove <handle>");
+  const dir = instancePath(handle);
+  const agents = Array.isArray(config.agents) ? config.agents : [];
+  const remaining = agents.filter((a) => String(a?.handle || "").trim().toLowerCase() !== handle);
+  if (remaining.length === agents.length && !existsSync(dir)) throw new Error(`${handle} is neither in ${configPath} nor in ${instanceRoot}`);
+
+  const dropFromConfig = () => {
+    if (remaining.length === agents.length) return;
+    writeConfig({ ...config, agents: remaining });
+    console.log(`Removed ${handle} from ${configPath}`);
+  };
+  if (!existsSync(dir)) { dropFromConfig(); return; }
+
+  // Config and folder change together under the lock, so a busy agent is left entirely as it was.
+  const archived = path.join(instanceRoot, ARCHIVE_DIR, `${handle}-${formatDate(Date.now()).replace(/[:.]/g, "-")}`);
+  const outcome = await withLock(handle, () => {
+    dropFromConfig();
+    recordEvent(handle, "removed", { archived_to: path.relative(instanceRoot, archived) });
+    ensureDir(path.dirname(archived));
+    renameSync(dir, archived);
+    rmSync(path.join(archived, ".lock"), { force: true });
+  });
+  if (outcome.locked) throw new Error(`${handle} is busy in another run; try again when it finishes`);
+  // The key stays in the vault so a later `add` of the same handle reuses the account.
+  console.log(`Archived ${dir} → ${archived}`);
+}
+
+async function applyPause(handle, paused) {
+  const dir = requireInstance(handle);
+  const outcome = await withLock(handle, () => {
+    const state = readState(dir);
+    const was = { paused: Boolean(state.paused), suspended: Boolean(state.suspended) };
+    if (paused) {
+      state.paused = true;
+      state.paused_at = formatDate(Date.now());
+    } else {
+      delete state.paused;
+      delete state.paused_at;
+      delete state.suspended;
+      delete state.suspended_at;
+      delete state.suspended_reason;
+      state.consecutive_failures = 0;
+      state.next_run_at = formatDate(Date.now());
+    }
+    writeState(dir, state);
+    return was;
+  });
+  // pause only touches state.json, so it must not race a running session's final write.
+  if (outcome.locked) return { busy: true, message: `${handle} is busy in another run; try again when it finishes` };
+
+  const agent = loadAgent(handle);
+  if (paused) {
+    logAgent(agent, "paused");
+    recordEvent(handle, "paused", {});
+    return { busy: false, message: `${handle} paused${outcome.value.paused ? " (already paused)" : ""}` };
+  }
+  logAgent(agent, "resumed; due now");
+  recordEvent(handle, "resumed", { was_paused: outcome.value.paused, was_suspended: outcome.value.suspended });
+  const was = [outcome.value.paused && "paused", outcome.value.suspended && "suspended"].filter(Boolean);
+  return { busy: false, message: `${handle} resumed${was.length ? ` (was ${was.join(" and ")})` : " (was not paused or suspended)"}; due now` };
+}
+
+async function setPaused(paused) {
+  const usage = `${paused ? "pause" : "resume"} <handle...> | --all`;
+  for (const handle of targetHandles(usage)) {
+    const result = await applyPause(handle, paused);
+    console.log(result.message);
+    if (result.busy) process.exitCode = 1;
+  }
+}
+
+async function runNow() {
+  const handle = handleArg("run-now <handle>");
+  requireInstance(handle);
+  const item = scanInstances().find((i) => i.handle === handle);
+  if (!item) throw new Error(`${handle} is not scheduled (restrict_to_config is on and it is not in ${configPath})`);
+  if (item.busy) throw new Error(`${handle} is busy in another run; try again when it finishes`);
+  console.log(`Running ${handle} now${item.state.paused ? " (paused; the pause stays)" : ""}`);
+  await runInstance(item, formatDate(Date.now()), { manual: true });
+  const state = readState(item.dir);
+  console.log(`${handle}: ${state.last_error ? `failed: ${state.last_error}` : "done"}; next run ${state.next_run_at}`);
+}
+
+async function resetAgent() {
+  const handle = handleArg("reset <handle>");
+  const dir = requireInstance(handle);
+  const agent = loadAgent(handle);
+
+  const outcome = await withLock(handle, () => {
+    const state = readState(dir);
+    // Keep the identity and today's budget accounting; everything about the schedule starts over.
+    const kept = { handle, registered_at: state.registered_at, profile_url: state.profile_url, budget_usage: state.budget_usage };
+    writeState(dir, { ...kept, next_run_at: initialRunAt(agent.schedule, Date.now(), agentRng(handle, {}, "initial")), run_count: 0, updated_at: formatDate(Date.now()) });
+    for (const file of ["activity.log", "events.jsonl", "logs"]) rmSync(path.join(envDir(dir), file), { recursive: true, force: true });
+    for (const file of ["sessions.md", "platform.md"]) rmSync(path.join(harnessMemoryDir(handle), file), { force: true });
+  });
+  if (outcome.locked) throw new Error(`${handle} is busy in another run; try again when it finishes`);
+
+  logAgent(agent, "reset");
+  recordEvent(handle, "reset", {});
+  console.log(`${handle} reset; next run ${readState(dir).next_run_at}${resolveApiKey(agent) ? "; API key kept" : ""}`);
+}
+
+// ---------------------------------------------------------------------------
+// Report — aggregate activity across instances for a time window
+// ---------------------------------------------------------------------------
+
+const REPORT_DEFAULT_WINDOW = "7d";
+
+function parseTimeArg(value, fallback) {
+  if (value === undefined || value === null || value === "") return fallback;
+  const relative = String(value).match(/^(\d+)([mhdw])$/);
+  if (relative) {
+    const unit = { m: 60_000, h: 3_600_000, d: 86_400_000, w: 604_800_000 }[relative[2]];
+    return Date.now() - Number(relative[1]) * unit;
+  }
+  const ts = Date.parse(value);
+  if (Number.isNaN(ts)) throw new Error(`Invalid time: ${value} (use ISO 8601 or a relative value like 24h, 7d)`);
+  return ts;
+}
+
+function inWindow(ts, since, until) {
+  const t = Date.parse(ts);
+  return Number.isFinite(t) && t >= since && t <= until;
+}
+
+async function fetchPlatformActivity(handle, apiKey, since, until) {
+  if (!apiKey) return { error: "no API key" };
+  try {
+    const [profile, inbox] = await Promise.all([
+      apiCall(apiKey, "GET", `/users/profile?name=${encodeURIComponent(handle)}`),
+      apiCall(apiKey, "GET", "/notifications?unread=true"),
+    ]);
+    const notifications = inbox?.notifications || [];
+    return {
+      posts: (profile?.posts || []).filter((p) => inWindow(p.created_at, since, until)).length,
+      comments: (profile?.comments || []).filter((c) => inWindow(c.created_at, since, until)).length,
+      claims: (profile?.claimed_tasks || []).filter((p) => inWindow(p.claimed_at || p.created_at, since, until)).length,
+      unread_notifications: inbox?.unread_count ?? notifications.filter((n) => !n.read).length,
+    };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+function summarizeInstance(handle, since, until) {
+  const state = readState(instancePath(handle));
+  const events = readEvents(handle);
+  const sessions = events.filter((e) => e.type === "session" && inWindow(e.started_at || e.ts, since, until));
+  const violations = events.filter((e) => e.type === "audit_violation" && inWindow(e.ts, since, until)).length;
+  const count = (outcome) => sessions.filter((e) => e.outcome === outcome).length;
+  const durations = sessions.map((e) => e.duration_ms).filter(Number.isFinite);
+  const lastFailure = [...sessions].reverse().find((e) => e.outcome !== "success");
+  const last = sessions.at(-1);
+
+  const flags = [];
+  if (sessions.length === 0) flags.push("silent");
+  if (last && last.outcome !== "success") flags.push("failing");
+  if (!resolveApiKey(loadAgent(handle))) flags.push("no-key");
+  if (violations > 0) flags.push("violations");
+
+  return {
+    handle,
+    sessions: sessions.length,
+    success: count("success"),
+    error: count("error"),
+    timeout: count("timeout"),
+    avg_duration_s: durations.length ? Math.round(durations.reduce((a, b) => a + b, 0) / durations.length / 1000) : null,
+    run_count: state.run_count || 0,
+    violations,
+    last_run: state.last_run || null,
+    last_error: lastFailure?.error || state.last_error || null,
+    flags,
+  };
+}
+
+const REPORT_COLUMNS = [
+  ["handle", "handle"],
+  ["sessions", "sessions"],
+  ["success", "ok"],
+  ["error", "err"],
+  ["timeout", "t/o"],
+  ["avg_duration_s", "avg_s"],
+  ["run_count", "runs"],
+  ["violations", "viol"],
+  ["posts", "posts"],
+  ["comments", "comments"],
+  ["claims", "claims"],
+  ["unread_notifications", "unread"],
+  ["flags", "flags"],
+  ["last_error", "last_error"],
+];
+
+function reportCell(row, key) {
+  const value = key in row ? row[key] : row.platform?.[key];
+  if (Array.isArray(value)) return value.join(",") || "-";
+  if (value === null || value === undefined) return row.platform?.error && !(key in row) ? "?" : "-";
+  return String(value).replace(/\s+/g, " ").slice(0, 60);
+}
+
+function formatReportTable(rows) {
+  const cells = [REPORT_COLUMNS.map(([, label]) => label), ...rows.map((row) => REPORT_COLUMNS.map(([key]) => reportCell(row, key)))];
+  const widths = REPORT_COLUMNS.map((_, i) => Math.max(...cells.map((r) => r[i].length)));
+  return cells.map((r) => r.map((c, i) => c.padEnd(widths[i])).join("  ").trimEnd()).join("\n");
+}
+
+function formatReportMarkdown(rows) {
+  const escape = (c) => c.replaceAll("|", "\\|");
+  return [
+    `| ${REPORT_COLUMNS.map(([, label]) => label).join(" | ")} |`,
+    `| ${REPORT_COLUMNS.map(() => "---").join(" | ")} |`,
+    ...rows.map((row) => `| ${REPORT_COLUMNS.map(([key]) => escape(reportCell(row, key))).join(" | ")} |`),
+  ].join("\n");
+}
+
+async function report() {
+  const until = parseTimeArg(cli.options.until, Date.now());
+  const since = parseTimeArg(cli.options.since, parseTimeArg(REPORT_DEFAULT_WINDOW));
+  const format = cli.options.format || "table";
+  if (!["table", "json", "markdown"].includes(format)) throw new Error(`Unknown format: ${format} (table, json, markdown)`);
+
+  const rows = allInstances().map((handle) => summarizeInstance(handle, since, until));
+  if (!cli.options["skip-platform"]) {
+    await runPool(rows, 4, async (row) => {
+      row.platform = await fetchPlatformActivity(row.handle, resolveApiKey(loadAgent(row.handle)), since, until);
+      if (row.platform.error) row.flags.push("platform-error");
+    });
+  }
+
+  const totals = { agents: rows.length };
+  for (const key of ["sessions", "success", "error", "timeout", "violations"]) totals[key] = rows.reduce((sum, r) => sum + r[key], 0);
+  for (const key of ["posts", "comments", "claims", "unread_notifications"]) {
+    totals[key] = rows.reduce((sum, r) => sum + (r.platform?.[key] || 0), 0);
+  }
+  totals.silent = rows.filter((r) => r.flags.includes("silent")).length;
+
+  const window = `${formatDate(since)} → ${formatDate(until)}`;
+  if (format === "json") {
+    console.log(JSON.stringify({ since: formatDate(since), until: formatDate(until), generated_at: formatDate(Date.now()), totals, agents: rows }, null, 2));
+  } else if (format === "markdown") {
+    console.log(`## BeeHack simulation report\n\n${window}\n\n${formatReportMarkdown(rows)}\n`);
+    console.log(`**Totals:** ${Object.entries(totals).map(([k, v]) => `${k} ${v}`).join(", ")}`);
+  } else {
+    console.log(`Report ${window}\n`);
+    console.log(formatReportTable(rows));
+    console.log(`\nTotals: ${Object.entries(totals).map(([k, v]) => `${k}=${v}`).join(" ")}`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Scenarios — scripted multi-agent storylines with checks against the API
+// ---------------------------------------------------------------------------
+
+// A YAML subset: block mappings and sequences, plain/quoted scalars, [a, b] lists and | / > blocks.
+function stripYamlComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quote) { if (ch === quote) quote = null; continue; }
+    if (ch === '"' || ch === "'") quote = ch;
+    else if (ch === "#" && (i === 0 || /\s/.test(line[i - 1]))) return line.slice(0, i);
+  }
+  return line;
+}
+
+function splitFlowList(text) {
+  const items = [];
+  let quote = null;
+  let current = "";
+  for (const ch of text) {
+    if (quote) { if (ch === quote) quote = null; }
+    else if (ch === '"' || ch === "'") quote = ch;
+    else if (ch === ",") { items.push(current); current = ""; continue; }
+    current += ch;
+  }
+  return [...items, current].map((s) => s.trim()).filter(Boolean);
+}
+
+function parseYamlScalar(raw) {
+  const v = raw.trim();
+  if (v === "" || v === "~" || v === "null") return null;
+  if (v === "true" || v === "false") return v === "true";
+  if (/^-?\d+(\.\d+)?$/.test(v)) return Number(v);
+  if (v.startsWith('"')) return JSON.parse(v);
+  if (v.startsWith("'")) return v.slice(1, -1).replace(/''/g, "'");
+  if (v.startsWith("[") && v.endsWith("]")) return splitFlowList(v.slice(1, -1)).map(parseYamlScalar);
+  if (v === "{}") return {};
+  return v;
+}
+
+function parseYaml(text) {
+  const lines = text.split(/\r?\n/).map((raw, i) => ({ raw, n: i + 1 }));
+  const YAML_KEY = /^("[^"]*"|'[^']*'|[^\s"'#\-[{][^:]*?|-[^\s:][^:]*?):(?:\s+(.*))?$/;
+  const fail = (line, message) => { throw new Error(`line ${line.n}: ${message}`); };
+  const content = (line) => stripYamlComment(line.raw).trim();
+  const indentOf = (line) => line.raw.match(/^ */)[0].length;
+  const isItem = (line) => content(line) === "-" || content(line).startsWith("- ");
+  let pos = 0;
+
+  const skip = () => {
+    while (pos < lines.length && !content(lines[pos])) pos++;
+    if (pos < lines.length && /^ *\t/.test(lines[pos].raw)) fail(lines[pos], "tabs are not allowed for indentation");
+  };
+
+  function parseNode(minIndent) {
+    skip();
+    if (pos >= lines.length || indentOf(lines[pos]) < minIndent) return null;
+    return isItem(lines[pos]) ? parseSeq(indentOf(lines[pos])) : parseMap(indentOf(lines[pos]));
+  }
+
+  function parseBlockScalar(parentIndent, style) {
+    const body = [];
+    while (pos < lines.length && (!lines[pos].raw.trim() || indentOf(lines[pos]) > parentIndent)) body.push(lines[pos++].raw);
+    while (body.length && !body.at(-1).trim()) body.pop();
+    const indent = Math.min(...body.filter((l) => l.trim()).map((l) => l.match(/^ */)[0].length));
+    const text = body.map((l) => l.slice(indent));
+    const joined = style.startsWith(">") ? text.join("\n").replace(/([^\n])\n(?=[^\n])/g, "$1 ") : text.join("\n");
+    return style.endsWith("-") ? joined : `${joined}\n`;
+  }
+
+  function parseValue(line, indent, rest) {
+    if (/^[|>][-+]?$/.test(rest)) return parseBlockScalar(indent, rest);
+    if (rest) return parseYamlScalar(rest);
+    skip();
+    const next = lines[pos];
+    if (!next) return null;
+    if (indentOf(next) > indent) return parseNode(indent + 1);
+    if (indentOf(next) === indent && isItem(next)) return parseSeq(indent);
+    return null;
+  }
+
+  function parseSeq(indent) {
+    const out = [];
+    for (skip(); pos < lines.length; skip()) {
+      const line = lines[pos];
+      if (indentOf(line) < indent || !isItem(line)) break;
+      if (indentOf(line) > indent) fail(line, "unexpected indentation");
+      const rest = content(line).slice(1).trim();
+      if (!rest) { pos++; out.push(parseNode(indent + 1)); continue; }
+      if (YAML_KEY.test(rest)) {
+        // "- key: value" opens a mapping whose keys line up with the first one.
+        line.raw = `${line.raw.slice(0, indent)} ${line.raw.slice(indent + 1)}`;
+        out.push(parseMap(indentOf(line)));
+        continue;
+      }
+      pos++;
+      out.push(parseYamlScalar(rest));
+    }
+    return out;
+  }
+
+  function parseMap(indent) {
+    const out = {};
+    for (skip(); pos < lines.length; skip()) {
+      const line = lines[pos];
+      if (indentOf(line) < indent) break;
+      if (indentOf(line) > indent) fail(line, "unexpected indentation");
+      if (isItem(line)) fail(line, "list item where a key was expected");
+      const match = content(line).match(YAML_KEY);
+      if (!match) fail(line, "expected `key: value`");
+      pos++;
+      out[String(parseYamlScalar(match[1]))] = parseValue(line, indent, (match[2] || "").trim());
+    }
+    return out;
+  }
+
+  const result = parseNode(0);
+  skip();
+  if (pos < lines.length) fail(lines[pos], "unexpected content");
+  return result;
+}
+
+function loadScenario(file) {
+  if (!file) throw new Error("Usage: scenario <file.yaml|file.json>");
+  if (!existsSync(file)) throw new Error(`Scenario not found: ${file}`);
+  const text = readFileSync(file, "utf8");
+  let raw;
+  try {
+    raw = /\.json$/i.test(file) ? JSON.parse(text) : parseYaml(text);
+  } catch (error) {
+    throw new Error(`${file}: ${error.message}`);
+  }
+  if (!raw || !Array.isArray(raw.phases) || raw.phases.length === 0) throw new Error(`${file}: needs a non-empty phases list`);
+
+  const phases = raw.phases.map((phase, i) => ({
+    name: phase.name || `phase ${i + 1}`,
+    agents: (phase.agents || raw.agents || []).map((h) => String(h).toLowerCase()),
+    prompt: phase.prompt || "",
+    prompts: phase.prompts || {},
+    sessions: toPositiveInt(phase.sessions, 1),
+    expect: phase.expect || [],
+  }));
+  for (const phase of phases) if (phase.agents.length === 0) throw new Error(`${file}: ${phase.name} has no agents`);
+
+  return {
+    name: raw.name || path.basename(file).replace(/\.[^.]+$/, ""),
+    description: raw.description || "",
+    agents: [...new Set([...(raw.agents || []).map((h) => String(h).toLowerCase()), ...phases.flatMap((p) => p.agents)])],
+    seed: { posts: raw.seed?.posts || [] },
+    phases,
+    checks: raw.checks || [],
+  };
+}
+
+function fillScenarioText(text, posts) {
+  return String(text || "").replace(/\{posts\.([\w-]+)\.(\w+)\}/g, (whole, ref, field) => {
+    const value = posts.get(ref)?.[field];
+    return value === undefined ? whole : String(value);
+  });
+}
+
+async function scenarioSnapshot(agent, apiKey) {
+  const [profile, messages] = await Promise.all([
+    apiCall(apiKey, "GET", `/users/profile?name=${encodeURIComponent(agent.handle)}`),
+    apiCall(apiKey, "GET", "/messages").catch(() => ({ messages: [] })),
+  ]);
+  return {
+    posts: profile?.posts || [],
+    comments: profile?.comments || [],
+    claims: profile?.claimed_tasks || [],
+    messages: messages?.messages || [],
+  };
+}
+
+function newSince(before, after) {
+  const seen = new Set(before.map((x) => x.id));
+  return after.filter((x) => !seen.has(x.id));
+}
+
+async function checkScenarioCondition(check, run) {
+  const postId = (ref) => run.posts.get(ref)?.id || ref;
+
+  if (check.post) {
+    const id = postId(check.post);
+    const [{ post }, { comments }] = await Promise.all([
+      apiCall(run.readerKey, "GET", `/posts/${encodeURIComponent(id)}`),
+      apiCall(run.readerKey, "GET", `/posts/${encodeURIComponent(id)}/comments`),
+    ]);
+    const failures = [];
+    const authors = new Set((comments || []).map((c) => c.author));
+    if (check.min_comments !== undefined && (comments || []).length < check.min_comments) failures.push(`${(comments || []).length} comment(s), want ≥ ${check.min_comments}`);
+    const missing = (check.commenters || []).filter((h) => !authors.has(String(h).toLowerCase()));
+    if (missing.length) failures.push(`no comment from ${missing.join(", ")}`);
+    if (check.claimed_by !== undefined && post?.claimed_by !== check.claimed_by) failures.push(`claimed by ${post?.claimed_by || "nobody"}, want ${check.claimed_by}`);
+    if (check.status !== undefined && post?.status !== check.status) failures.push(`status ${post?.status}, want ${check.status}`);
+    return { label: `post ${check.post}`, ok: failures.length === 0, detail: failures.join("; ") || `${(comments || []).length} comment(s), status ${post?.status}` };
+  }
+
+  if (check.user) {
+    const handle = String(check.user).toLowerCase();
+    const agent = loadAgent(handle);
+    const after = await scenarioSnapshot(agent, resolveApiKey(agent));
+    const before = run.baseline.get(handle) || { posts: [], comments: [], claims: [], messages: [] };
+    const posts = newSince(before.posts, after.posts)
+      .filter((p) => !check.title_contains || String(p.title).toLowerCase().includes(String(check.title_contains).toLowerCase()));
+    const counts = { posts: posts.length, comments: newSince(before.comments, after.comments).length, claims: newSince(before.claims, after.claims).length };
+    const failures = ["posts", "comments", "claims"]
+      .filter((kind) => check[`min_${kind}`] !== undefined && counts[kind] < check[`min_${kind}`])
+      .map((kind) => `${counts[kind]} new ${kind}, want ≥ ${check[`min_${kind}`]}`);
+    return { label: `user ${handle}`, ok: failures.length === 0, detail: failures.join("; ") || `new: ${counts.posts} posts, ${counts.comments} comments, ${counts.claims} claims` };
+  }
+
+  if (check.messages_from) {
+    const from = String(check.messages_from).toLowerCase();
+    const agent = loadAgent(from);
+    const after = await scenarioSnapshot(agent, resolveApiKey(agent));
+    const sent = newSince(run.baseline.get(from)?.messages || [], after.messages)
+      .filter((m) => m.from === from && (!check.to || m.to === String(check.to).toLowerCase()));
+    const min = check.min ?? 1;
+    return { label: `messages from ${from}${check.to ? ` to ${check.to}` : ""}`, ok: sent.length >= min, detail: `${sent.length} new, want ≥ ${min}` };
+  }
+
+  return { label: JSON.stringify(check), ok: false, detail: "unknown check (use post, user or messages_from)" };
+}
+
+async function runChecks(checks, run) {
+  const results = [];
+  for (const check of checks) {
+    try {
+      results.push(await checkScenarioCondition(check, run));
+    } catch (error) {
+      results.push({ label: check.post ? `post ${check.post}` : check.user ? `user ${check.user}` : "check", ok: false, detail: error.message });
+    }
+  }
+  for (const r of results) console.log(`    ${r.ok ? "PASS" : "FAIL"} ${r.label}: ${r.detail}`);
+  return results;
+}
+
+async function runScenarioSession(agent, overlay, label) {
+  const dir = instancePath(agent.handle);
+  const outcome = await withLock(agent.handle, async () => {
+    const state = readState(dir);
+    try {
+      return await runAgent(agent, state, { overlay, scenario: label });
+    } catch (error) {
+      state.last_run = formatDate(Date.now());
+      logAgent(agent, `scenario session failed: ${error.message}`);
+      recordRunOutcome(agent, state, error.message);
+      writeState(dir, state);
+      return "error";
+    }
+  });
+  return outcome.locked ? "busy" : outcome.value;
+}
+
+async function scenario() {
+  const spec = loadScenario(cli.positionals[0]);
+  const agents = new Map();
+  for (const handle of spec.agents) {
+    if (!agentConfigMap.has(handle) && !existsSync(instancePath(handle))) throw new Error(`${handle} is neither in the config nor bootstrapped`);
+    agents.set(handle, loadAgent(handle));
+  }
+
+  console.log(`Scenario ${spec.name}${spec.description ? ` — ${spec.description}` : ""}`);
+  console.log(`  agents: ${spec.agents.join(", ")}`);
+
+  // Every participant needs a key before anything is seeded or checked.
+  for (const agent of agents.values()) {
+    const dir = await ensureAgentFiles(agent);
+    const registered = await withLock(agent.handle, async () => {
+      const state = readState(dir);
+      const apiKey = await registerAgent(agent, state);
+      writeState(dir, state);
+      return apiKey;
+    });
+    if (registered.locked) throw new Error(`${agent.handle} is busy in another run`);
+    if (!registered.value) throw new Error(`${agent.handle} has no API key`);
+  }
+
+  const run = { posts: new Map(), baseline: new Map(), readerKey: resolveApiKey(agents.values().next().value) };
+
+  for (const [i, seed] of spec.seed.posts.entries()) {
+    const author = agents.get(String(seed.as || "").toLowerCase());
+    if (!author) throw new Error(`seed post ${i + 1}: "as" must be one of the scenario agents`);
+    const { post } = await apiCall(resolveApiKey(author), "POST", "/posts", {
+      title: fillScenarioText(seed.title, run.posts),
+      description: fillScenarioText(seed.description || "", run.posts),
+      task_type: seed.task_type || "question",
+      tags: seed.tags || [],
+    });
+    run.posts.set(seed.id || `post${i + 1}`, post);
+    console.log(`  seeded ${post.id} "${post.title}" as ${author.handle}`);
+  }
+
+  // `user` and `messages_from` checks count what happened after seeding.
+  for (const agent of agents.values()) run.baseline.set(agent.handle, await scenarioSnapshot(agent, resolveApiKey(agent)));
+
+  const results = [];
+  let stopped = false;
+  for (const phase of spec.phases) {
+    if (stopped) { console.log(`  phase ${phase.name}: skipped`); results.push({ phase: phase.name, skipped: true, checks: [] }); continue; }
+    console.log(`  phase ${phase.name}: ${phase.agents.join(", ")} × ${phase.sessions}`);
+    const outcomes = [];
+    for (let round = 0; round < phase.sessions; round++) {
+      await runPool(phase.agents, platform.max_parallel_runs, async (handle) => {
+        const agent = agents.get(handle);
+        const overlay = fillScenarioText([phase.prompt, phase.prompts[handle]].filter(Boolean).join("\n\n"), run.posts);
+        outcomes.push({ handle, outcome: await runScenarioSession(agent, overlay, `${spec.name}/${phase.name}`) });
+      });
+    }
+    for (const o of outcomes.filter((o) => o.outcome !== "success")) console.log(`    ${o.handle}: ${o.outcome}`);
+    const checks = await runChecks(phase.expect, run);
+    results.push({ phase: phase.name, sessions: outcomes, checks });
+    stopped = checks.some((c) => !c.ok);
+  }
+
+  if (spec.checks.length && !stopped) {
+    console.log("  final checks:");
+    results.push({ phase: "final", checks: await runChecks(spec.checks, run) });
+  }
+
+  const all = results.flatMap((r) => r.checks);
+  const passed = !stopped && all.every((c) => c.ok);
+  console.log(passed ? `PASS ${spec.name} (${all.length} checks)` : `FAIL ${spec.name} (${all.filter((c) => !c.ok).length} of ${all.length} checks failed${stopped ? ", stopped early" : ""})`);
+  if (cli.options.format === "json") console.log(JSON.stringify({ scenario: spec.name, passed, posts: Object.fromEntries(run.posts), results }, null, 2));
+  if (!passed) process.exitCode = 1;
+}
+
+// ---------------------------------------------------------------------------
+// Mock BeeHack API — deterministic offline stand-in for local runs
+// ---------------------------------------------------------------------------
+
+const MOCK_DEFAULT_PORT = 4010;
+const MOCK_CLOCK_START = "2026-01-01T00:00:00.000Z";
+const MOCK_CLOCK_STEP_MS = 60_000;
+
+class MockHttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function mockApiKey(seed, handle) {
+  return `bhv_mock_${createHash("sha256").update(`${seed}:${handle}`).digest("hex").slice(0, 40)}`;
+}
+
+function createMockWorld(fixture = {}) {
+  const world = {
+    seed: String(fixture.seed ?? "beehack"),
+    clock: Date.parse(fixture.clock_start || MOCK_CLOCK_START),
+    clock_step_ms: toPositiveInt(fixture.clock_step_ms, MOCK_CLOCK_STEP_MS),
+    next_id: 1,
+    users: [],
+    posts: [],
+    comments: [],
+    notifications: [],
+    messages: [],
+    votes: [],
+  };
 
-    const dir = await ensureAgentFiles(agent);
-    const state = readState(dir);
+  for (const user of fixture.users || []) mockRegister(world, user);
+  for (const post of fixture.posts || []) {
+    const created = mockCreatePost(world, mockUser(world, post.author), post);
+    for (const comment of post.comments || []) {
+      mockCreateComment(world, mockUser(world, comment.author), created.id, comment);
+    }
+    if (post.claimed_by) mockClaimPost(world, mockUser(world, post.claimed_by), created.id);
+    if (post.status) created.status = post.status;
+  }
+  for (const message of fixture.messages || []) {
+    mockSendMessage(world, mockUser(world, message.from), message);
+  }
+  return world;
+}
+
+function mockTick(world) {
+  world.clock += world.clock_step_ms;
+  return formatDate(world.clock);
+}
+
+function mockNextId(world, prefix) { return `${prefix}_${world.next_id++}`; }
+
+function mockUser(world, handle) {
+  const user = world.users.find((u) => u.handle === handle);
+  if (!user) throw new MockHttpError(404, `User not found: ${handle}`);
+  return user;
+}
+
+function mockPost(world, id) {
+  const post = world.posts.find((p) => p.id === id);
+  if (!post) throw new MockHttpError(404, `Post not found: ${id}`);
+  return post;
+}
+
+function mockNotify(world, recipient, actor, type, fields) {
+  if (!recipient || recipient === actor) return;
+  world.notifications.push({
+    id: mockNextId(world, "ntf"),
+    handle: recipient,
+    type,
+    actor,
+    read: false,
+    created_at: formatDate(world.clock),
+    ...fields,
+  });
+}
+
+function mockRegister(world, body) {
+  const handle = String(body?.handle || "").trim().toLowerCase();
+  if (!/^[a-z0-9_]{3,30}$/.test(handle)) throw new MockHttpError(400, "handle must be 3-30 chars of letters, numbers or _");
+  if (world.users.some((u) => u.handle === handle)) throw new MockHttpError(409, `Handle already taken: ${handle}`);
+
+  const user = {
+    id: mockNextId(world, "usr"),
+    handle,
+    name: body.name || handle,
+    description: body.description || "",
+    api_key: body.api_key || mockApiKey(world.seed, handle),
+    created_at: mockTick(world),
+  };
+  world.users.push(user);
+  return user;
+}
+
+function mockCreatePost(world, user, body) {
+  const title = safeTrim(body?.title);
+  if (!title) throw new MockHttpError(400, "title is required");
+  const post = {
+    id: mockNextId(world, "post"),
+    title,
+    description: String(body.description || body.content || ""),
+    task_type: body.task_type || "fcfs",
+    tags: Array.isArray(body.tags) ? body.tags : [],
+    author: user.handle,
+    status: "open",
+    claimed_by: null,
+    score: Number(body.score) || 0,
+    created_at: mockTick(world),
+  };
+  world.posts.push(post);
+  return post;
+}
+
+function mockCreateComment(world, user, postId, body) {
+  const post = mockPost(world, postId);
+  const content = String(body?.content || body?.body || "").trim();
+  if (!content) throw new MockHttpError(400, "content is required");
+  const comment = {
+    id: mockNextId(world, "cmt"),
+    post_id: post.id,
+    parent_id: body.parent_id || null,
+    author: user.handle,
+    content,
+    score: 0,
+    created_at: mockTick(world),
+  };
+  world.comments.push(comment);
+
+  mockNotify(world, post.author, user.handle, "comment", { post_id: post.id, comment_id: comment.id, message: `${user.handle} commented on "${post.title}"` });
+  const parent = comment.parent_id && world.comments.find((c) => c.id === comment.parent_id);
+  if (parent && parent.author !== post.author) {
+    mockNotify(world, parent.author, user.handle, "reply", { post_id: post.id, comment_id: comment.id, message: `${user.handle} replied to your comment` });
+  }
+  return comment;
+}
+
+function mockClaimPost(world, user, postId) {
+  const post = mockPost(world, postId);
+  if (post.claimed_by && post.claimed_by !== user.handle) throw new MockHttpError(409, `Already claimed by ${post.claimed_by}`);
+  if (post.status !== "open" && post.claimed_by !== user.handle) throw new MockHttpError(409, `Post is ${post.status}`);
+  post.claimed_by = user.handle;
+  post.status = "claimed";
+  post.claimed_at = mockTick(world);
+  mockNotify(world, post.author, user.handle, "claim", { post_id: post.id, message: `${user.handle} claimed "${post.title}"` });
+  return post;
+}
+
+function mockSendMessage(world, user, body) {
+  const recipient = mockUser(world, String(body?.to_handle || body?.to || "").toLowerCase());
+  const content = String(body?.content || "").trim();
+  if (!content) throw new MockHttpError(400, "content is required");
+  const message = {
+    id: mockNextId(world, "msg"),
+    from: user.handle,
+    to: recipient.handle,
+    content,
+    created_at: mockTick(world),
+  };
+  world.messages.push(message);
+  mockNotify(world, recipient.handle, user.handle, "message", { message_id: message.id, message: `New message from ${user.handle}` });
+  return message;
+}
+
+function mockVoteComment(world, user, commentId, body) {
+  const comment = world.comments.find((c) => c.id === commentId);
+  if (!comment) throw new MockHttpError(404, `Comment not found: ${commentId}`);
+  if (comment.author === user.handle) throw new MockHttpError(400, "Cannot vote on your own comment");
+  const value = Math.sign(Number(body?.value));
+  if (!value) throw new MockHttpError(400, "value must be 1 or -1");
+
+  world.votes ||= [];
+  const existing = world.votes.find((v) => v.comment_id === commentId && v.handle === user.handle);
+  comment.score += value - (existing?.value || 0);
+  if (existing) existing.value = value;
+  else world.votes.push({ comment_id: commentId, handle: user.handle, value, created_at: mockTick(world) });
+  return comment;
+}
+
+function mockPostView(world, post) {
+  return { ...post, comment_count: world.comments.filter((c) => c.post_id === post.id).length };
+}
+
+function mockSortPosts(world, posts, sort) {
+  const views = posts.map((p) => mockPostView(world, p));
+  const byNew = (a, b) => Date.parse(b.created_at) - Date.parse(a.created_at) || b.id.localeCompare(a.id);
+  if (sort === "new") return views.sort(byNew);
+  if (sort === "top") return views.sort((a, b) => b.score - a.score || byNew(a, b));
+  // hot: engagement decayed by age against the world clock, so ordering is reproducible
+  const hot = (p) => (p.score + p.comment_count + 1) / ((world.clock - Date.parse(p.created_at)) / 3_600_000 + 2) ** 1.5;
+  return views.sort((a, b) => hot(b) - hot(a) || byNew(a, b));
+}
+
+function mockProfile(world, user) {
+  const { api_key: _key, ...publicUser } = user;
+  return {
+    user: publicUser,
+    posts: world.posts.filter((p) => p.author === user.handle).map((p) => mockPostView(world, p)),
+    comments: world.comments.filter((c) => c.author === user.handle),
+    claimed_tasks: world.posts.filter((p) => p.claimed_by === user.handle).map((p) => mockPostView(world, p)),
+    votes: (world.votes || []).filter((v) => v.handle === user.handle),
+  };
+}
+
+function mockSkillMd(base) {
+  return `# BeeHack (mock)
 
-    if (!state.next_run_at) state.next_run_at = initialRunAt(agent.schedule);
+Offline stand-in for the BeeHack API. Authenticate with \`Authorization: Bearer <api_key>\`.
+
+- \`POST ${base}/api/register\` — \`{name, handle, description}\`
+- \`GET ${base}/api/notifications\` — \`?unread=true\` for unread only
+- \`PATCH ${base}/api/notifications\` — \`{all: true}\` or \`{ids: [...]}\`
+- \`GET ${base}/api/posts?sort=hot|new|top&limit=N\`
+- \`POST ${base}/api/posts\` — \`{title, description, task_type, tags}\`
+- \`GET ${base}/api/posts/:id\`
+- \`POST ${base}/api/posts/:id/claim\`
+- \`GET|POST ${base}/api/posts/:id/comments\` — \`{content, parent_id}\`
+- \`POST ${base}/api/comments/:id/vote\` — \`{value: 1 | -1}\`
+- \`GET|POST ${base}/api/messages\` — \`{to_handle, content}\`
+- \`GET ${base}/api/users/profile?name=<handle>\`
+`;
+}
 
-    if (agent.api_key) {
-      state.api_key = agent.api_key;
-      state.registered_at = state.registered_at || formatDate(Date.now());
+const MOCK_ROUTES = [
+  ["POST", /^\/api\/register$/, (world, req) => {
+    const user = mockRegister(world, { name: req.body?.name, handle: req.body?.handle, description: req.body?.description });
+    return [201, { user: mockProfile(world, user).user, config: { api_key: user.api_key, profile_url: `${req.base}/api/users/profile?name=${user.handle}` } }];
+  }],
+  ["GET", /^\/api\/notifications$/, (world, req) => {
+    const mine = world.notifications.filter((n) => n.handle === req.auth().handle);
+    const list = req.query.get("unread") === "true" ? mine.filter((n) => !n.read) : mine;
+    return [200, { notifications: [...list].reverse(), unread_count: mine.filter((n) => !n.read).length }];
+  }],
+  ["PATCH", /^\/api\/notifications$/, (world, req) => {
+    const handle = req.auth().handle;
+    const ids = new Set(Array.isArray(req.body?.ids) ? req.body.ids : []);
+    let updated = 0;
+    for (const n of world.notifications) {
+      if (n.handle !== handle || n.read || !(req.body?.all || ids.has(n.id))) continue;
+      n.read = true;
+      updated++;
     }
+    return [200, { updated }];
+  }],
+  ["GET", /^\/api\/posts$/, (world, req) => {
+    const limit = toPositiveInt(req.query.get("limit"), 25);
+    return [200, { posts: mockSortPosts(world, world.posts, req.query.get("sort") || "hot").slice(0, limit) }];
+  }],
+  ["POST", /^\/api\/posts$/, (world, req) => [201, { post: mockPostView(world, mockCreatePost(world, req.auth(), req.body)) }]],
+  ["GET", /^\/api\/posts\/([^/]+)$/, (world, req, id) => [200, {
+    post: mockPostView(world, mockPost(world, id)),
+    comments: world.comments.filter((c) => c.post_id === id),
+  }]],
+  ["POST", /^\/api\/posts\/([^/]+)\/claim$/, (world, req, id) => [200, { post: mockPostView(world, mockClaimPost(world, req.auth(), id)) }]],
+  ["GET", /^\/api\/posts\/([^/]+)\/comments$/, (world, req, id) => [200, { comments: world.comments.filter((c) => c.post_id === mockPost(world, id).id) }]],
+  ["POST", /^\/api\/posts\/([^/]+)\/comments$/, (world, req, id) => [201, { comment: mockCreateComment(world, req.auth(), id, req.body) }]],
+  ["POST", /^\/api\/comments\/([^/]+)\/vote$/, (world, req, id) => [200, { comment: mockVoteComment(world, req.auth(), id, req.body) }]],
+  ["GET", /^\/api\/messages$/, (world, req) => {
+    const handle = req.auth().handle;
+    return [200, { messages: world.messages.filter((m) => m.from === handle || m.to === handle) }];
+  }],
+  ["POST", /^\/api\/messages$/, (world, req) => [201, { message: mockSendMessage(world, req.auth(), req.body) }]],
+  ["GET", /^\/api\/users\/profile$/, (world, req) => {
+    const name = req.query.get("name");
+    return [200, mockProfile(world, name ? mockUser(world, name.toLowerCase()) : req.auth())];
+  }],
+];
 
-    if (!state.api_key) {
-      try {
-        const apiKey = await registerAgent(dir, agent);
-        if (apiKey) { state.api_key = apiKey; console.log(`  registered`); }
-      } catch (error) {
-        console.warn(`  registration failed: ${error.message}`);
+async function readRequestBody(req) {
+  let raw = "";
+  for await (const chunk of req) raw += chunk;
+  if (!raw) return null;
+  try { return JSON.parse(raw); } catch { throw new MockHttpError(400, "Request body must be JSON"); }
+}
+
+async function mockServer() {
+  const port = toPositiveInt(cli.options.port, MOCK_DEFAULT_PORT);
+  const fixturePath = cli.options.fixture ? path.resolve(process.cwd(), cli.options.fixture) : null;
+  const statePath = cli.options.state ? path.resolve(process.cwd(), cli.options.state) : null;
+  const fixture = fixturePath ? readJson(fixturePath, null) : {};
+  if (!fixture) throw new Error(`Fixture not found: ${fixturePath}`);
+
+  const stored = statePath && !cli.options.reset ? readJson(statePath, null) : null;
+  const world = stored || createMockWorld(fixture);
+  const persist = () => { if (statePath) writeJson(statePath, world); };
+  persist();
+
+  const server = createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || `localhost:${port}`}`);
+    const base = `http://${req.headers.host || `localhost:${port}`}`;
+    const send = (status, payload, type = "application/json") => {
+      res.writeHead(status, { "content-type": type });
+      res.end(type === "application/json" ? JSON.stringify(payload) : payload);
+    };
+
+    try {
+      if (req.method === "GET" && url.pathname === "/resources/skill.md") {
+        send(200, mockSkillMd(base), "text/markdown");
+        return;
       }
-    } else {
-      console.log(`  already registered`);
+
+      const route = MOCK_ROUTES.find(([method, pattern]) => method === req.method && pattern.test(url.pathname));
+      if (!route) throw new MockHttpError(404, `No route for ${req.method} ${url.pathname}`);
+
+      const body = await readRequestBody(req);
+      const auth = () => {
+        const token = String(req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+        const user = token && world.users.find((u) => u.api_key === token);
+        if (!user) throw new MockHttpError(401, "Missing or invalid API key");
+        return user;
+      };
+      const [status, payload] = route[2](world, { body, query: url.searchParams, auth, base }, ...url.pathname.match(route[1]).slice(1));
+      if (req.method !== "GET") persist();
+      send(status, payload);
+    } catch (error) {
+      send(error.status || 500, { error: error.message });
     }
+    console.log(`${req.method} ${url.pathname} → ${res.statusCode}`);
+  });
 
-    const envPath = path.join(dir, ".env.local");
-    if (!existsSync(envPath)) writeFileSync(envPath, generateEnvLocal(agent.handle, state.api_key));
-    state.updated_at = formatDate(Date.now());
-    writeState(dir, state);
-    logAgent(agent, "bootstrapped");
-    console.log(`  done: ${dir}`);
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", resolve);
+  });
+  console.log(`Mock BeeHack API on http://localhost:${port} (${world.users.length} users, ${world.posts.length} posts${statePath ? `, state ${statePath}` : ""})`);
+  console.log(`Point the harness at it with BEEHACK_API_BASE=http://localhost:${port}`);
+
+  const stop = () => server.close(() => process.exit(0));
+  process.once("SIGINT", stop);
+  process.once("SIGTERM", stop);
+}
+
+// ---------------------------------------------------------------------------
+// Dashboard — local web UI over the instance files, with live session output
+// ---------------------------------------------------------------------------
+
+const DASHBOARD_DEFAULT_PORT = 4020;
+const DASHBOARD_ACTIVITY_LINES = 20;
+const DASHBOARD_TAIL_BYTES = 64 * 1024;
+const DASHBOARD_POLL_MS = 500;
+
+function readRange(file, start, end) {
+  const fd = openSync(file, "r");
+  try {
+    const buffer = Buffer.alloc(Math.max(0, end - start));
+    return buffer.subarray(0, readSync(fd, buffer, 0, buffer.length, start));
+  } finally {
+    closeSync(fd);
   }
+}
 
-  console.log(`\nBootstrap complete. Instances: ${instanceRoot}`);
+function tailLines(file, count, maxBytes = DASHBOARD_TAIL_BYTES) {
+  if (!existsSync(file)) return [];
+  const size = statSync(file).size;
+  const lines = readRange(file, Math.max(0, size - maxBytes), size).toString("utf8").split("\n").filter(Boolean);
+  // The first line is cut in half when the read started mid-file.
+  if (size > maxBytes) lines.shift();
+  return lines.slice(-count);
+}
+
+function lastSessionEvent(handle) {
+  // Sessions are recorded last, after their tool calls and actions, so the tail of events.jsonl holds the latest one.
+  for (const line of tailLines(eventsPath(handle), Infinity).reverse()) {
+    try {
+      const event = JSON.parse(line);
+      if (event.type === "session") return event;
+    } catch { }
+  }
+  return null;
+}
+
+function runningLog(handle) {
+  // runAgent creates the session log when it starts, so the newest log since the lock was taken is the live one.
+  if (!isLocked(handle)) return null;
+  const acquired = Date.parse(readLock(handle)?.acquired_at) || 0;
+  const logsDir = path.join(envDir(instancePath(handle)), "logs");
+  if (!existsSync(logsDir)) return null;
+  const candidates = readdirSync(logsDir)
+    .map((name) => path.join(logsDir, name))
+    .filter((file) => (fileMtime(file) ?? 0) >= acquired - 1000)
+    .sort();
+  return candidates.at(-1) || null;
+}
+
+function dashboardInstance(handle) {
+  const agent = loadAgent(handle);
+  const state = readState(instancePath(handle));
+  const next = state.next_run_at || null;
+  const session = lastSessionEvent(handle);
+  return {
+    handle,
+    name: agent.name,
+    state: instanceLabel(handle, state, next),
+    next_run_at: next,
+    next_local: next ? formatLocal(Date.parse(next), agent.schedule.timezone) : null,
+    run_count: state.run_count || 0,
+    consecutive_failures: state.consecutive_failures || 0,
+    last_error: state.last_error || null,
+    last_session: session && {
+      session_id: session.session_id,
+      outcome: session.outcome,
+      ended_at: session.ended_at,
+      duration_ms: session.duration_ms,
+    },
+    activity: tailLines(path.join(envDir(instancePath(handle)), "activity.log"), DASHBOARD_ACTIVITY_LINES),
+  };
+}
+
+function safeDashboardInstance(handle) {
+  // One instance with a corrupt agent.json or state.json must not take the whole list down.
+  try {
+    return dashboardInstance(handle);
+  } catch (error) {
+    const message = `cannot read its files: ${error.message}`;
+    return {
+      handle, name: handle, state: "unreadable", next_run_at: null, next_local: null, run_count: 0,
+      consecutive_failures: 0, last_error: message, last_session: null, activity: [message],
+    };
+  }
+}
+
+function streamSessionOutput(req, res, handle) {
+  res.writeHead(200, { "content-type": "text/event-stream", "cache-control": "no-cache", connection: "keep-alive" });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  let file;
+  let offset = 0;
+  let decoder;
+
+  const pollSession = () => {
+    const live = runningLog(handle);
+    const transcript = lastSessionEvent(handle)?.transcript;
+    const target = live || (transcript ? path.join(instancePath(handle), transcript) : null);
+    if (target !== file) {
+      // A new session: start the client over from the tail of its log.
+      file = target;
+      offset = file && existsSync(file) ? Math.max(0, statSync(file).size - DASHBOARD_TAIL_BYTES) : 0;
+      decoder = new StringDecoder("utf8");
+      send("session", { session: file ? path.basename(file, ".log") : null, live: Boolean(live) });
+    }
+    if (!file || !existsSync(file)) return;
+    const size = statSync(file).size;
+    // The final write may trim the streamed output; don't resend it.
+    if (size < offset) offset = size;
+    if (size > offset) {
+      send("output", decoder.write(readRange(file, offset, size)));
+      offset = size;
+    }
+  };
+
+  const tick = () => {
+    try {
+      pollSession();
+    } catch {
+      // reset or archive can delete the log between the checks; start over on the next tick.
+      file = undefined;
+    }
+  };
+
+  tick();
+  const timer = setInterval(tick, DASHBOARD_POLL_MS);
+  req.on("close", () => clearInterval(timer));
+}
+
+async function dashboard() {
+  const port = toPositiveInt(cli.options.port, DASHBOARD_DEFAULT_PORT);
+  const running = new Map();
+  ensureDir(instanceRoot);
+
+  const actions = {
+    run: async (handle) => {
+      requireInstance(handle);
+      const item = scanInstances().find((i) => i.handle === handle);
+      if (!item) return [404, `${handle} is not scheduled (restrict_to_config is on and it is not in ${configPath})`];
+      if (item.busy || running.has(handle)) return [409, `${handle} is busy in another run; try again when it finishes`];
+      console.log(`[${formatDate(Date.now())}] dashboard: running ${handle} now`);
+      const run = runInstance(item, formatDate(Date.now()), { manual: true })
+        .catch((error) => console.error(`  ${handle} run failed: ${error.message}`))
+        .finally(() => running.delete(handle));
+      running.set(handle, run);
+      return [202, `${handle} started`];
+    },
+    pause: async (handle) => {
+      const result = await applyPause(handle, true);
+      return [result.busy ? 409 : 200, result.message];
+    },
+    resume: async (handle) => {
+      const result = await applyPause(handle, false);
+      return [result.busy ? 409 : 200, result.message];
+    },
+  };
+
+  // A page on another origin can rebind its name to 127.0.0.1, but it can't change the Host header it sends.
+  const allowedHosts = new Set([`localhost:${port}`, `127.0.0.1:${port}`]);
+
+  const server = createServer(async (req, res) => {
+    const url = new URL(req.url, `http://localhost:${port}`);
+    const send = (status, payload, type = "application/json") => {
+      res.writeHead(status, { "content-type": type, "cache-control": "no-store" });
+      res.end(type === "application/json" ? JSON.stringify(payload) : payload);
+    };
+
+    if (!allowedHosts.has(String(req.headers.host).toLowerCase())) {
+      send(403, { error: `Host ${req.headers.host} is not allowed; open http://localhost:${port}` });
+      return;
+    }
+
+    try {
+      const match = url.pathname.match(/^\/api\/instances\/([^/]+)\/(stream|run|pause|resume)$/);
+      const handle = match && decodeURIComponent(match[1]).toLowerCase();
+      if (match && !allInstances().includes(handle)) {
+        send(404, { error: `No instance for ${handle} in ${instanceRoot}` });
+      } else if (req.method === "GET" && url.pathname === "/") {
+        send(200, dashboardHtml(), "text/html; charset=utf-8");
+      } else if (req.method === "GET" && url.pathname === "/api/instances") {
+        send(200, {
+          environment: environment?.name || null,
+          base_url: BASE,
+          generated_at: formatDate(Date.now()),
+          instances: allInstances().map(safeDashboardInstance),
+        });
+      } else if (req.method === "GET" && match?.[2] === "stream") {
+        streamSessionOutput(req, res, handle);
+      } else if (req.method === "POST" && match && actions[match[2]]) {
+        // A custom header can't be sent cross-origin without a preflight, which this server never approves.
+        if (req.headers["x-beehack-dashboard"] !== "1") { send(403, { error: "missing X-Beehack-Dashboard header" }); return; }
+        const [status, message] = await actions[match[2]](handle);
+        send(status, status < 400 ? { message } : { error: message });
+      } else {
+        send(404, { error: `No route for ${req.method} ${url.pathname}` });
+      }
+    } catch (error) {
+      send(500, { error: error.message });
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", resolve);
+  });
+  console.log(`Dashboard on http://localhost:${port} (${instanceRoot}${environment ? `, env ${environment.name}` : ""})`);
+
+  const stop = async () => {
+    server.close();
+    server.closeAllConnections();
+    if (running.size > 0) {
+      console.log(`Waiting up to ${platform.daemon_shutdown_grace_ms}ms for ${running.size} session(s) started here`);
+      setTimeout(() => killActiveChildren("SIGTERM"), platform.daemon_shutdown_grace_ms).unref();
+      await Promise.allSettled(running.values());
+    }
+    process.exit(0);
+  };
+  process.once("SIGINT", stop);
+  process.once("SIGTERM", stop);
+}
+
+function dashboardHtml() {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>BeeHack simulation</title>
+<style>
+  body { font: 14px system-ui, sans-serif; margin: 1.5rem; color: #222; }
+  h1 { font-size: 1.2rem; margin: 0 0 1rem; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: .35rem .6rem; border-bottom: 1px solid #ddd; white-space: nowrap; }
+  tr.selected { background: #fff7d6; }
+  tbody tr { cursor: pointer; }
+  .running { color: #0a7d32; font-weight: 600; }
+  .suspended, .error, .timeout { color: #b3261e; }
+  .paused { color: #8a6d00; }
+  button { margin-right: .3rem; }
+  #detail { display: grid; grid-template-columns: 1fr 2fr; gap: 1rem; margin-top: 1.5rem; }
+  pre { background: #f5f5f5; padding: .6rem; height: 24rem; overflow: auto; white-space: pre-wrap; margin: 0; font-size: 12px; }
+  .muted { color: #777; }
+</style>
+</head>
+<body>
+<h1>BeeHack simulation <span id="env" class="muted"></span></h1>
+<table>
+  <thead><tr><th>Agent</th><th>State</th><th>Next wake</th><th>Last session</th><th>Duration</th><th>Runs</th><th></th></tr></thead>
+  <tbody id="rows"></tbody>
+</table>
+<div id="detail" hidden>
+  <div><h2 id="activity-title"></h2><pre id="activity"></pre></div>
+  <div><h2 id="output-title"></h2><pre id="output"></pre></div>
+</div>
+<p id="message" class="muted"></p>
+<script>
+let selected = null;
+let stream = null;
+
+function cell(text, className) {
+  const td = document.createElement("td");
+  td.textContent = text ?? "-";
+  if (className) td.className = className;
+  return td;
+}
+
+function ago(iso) {
+  if (!iso) return "";
+  const minutes = Math.round((Date.now() - Date.parse(iso)) / 60000);
+  return minutes < 1 ? "just now" : minutes < 120 ? minutes + " min ago" : Math.round(minutes / 60) + " h ago";
+}
+
+function duration(ms) {
+  if (ms == null) return "-";
+  return ms < 60000 ? (ms / 1000).toFixed(1) + " s" : Math.round(ms / 60000) + " min";
+}
+
+async function act(handle, action) {
+  const response = await fetch("/api/instances/" + encodeURIComponent(handle) + "/" + action, { method: "POST", headers: { "X-Beehack-Dashboard": "1" } });
+  const body = await response.json();
+  document.getElementById("message").textContent = body.message || body.error;
+  refresh();
+}
+
+function button(label, handle, action) {
+  const b = document.createElement("button");
+  b.textContent = label;
+  b.onclick = (event) => { event.stopPropagation(); act(handle, action); };
+  return b;
+}
+
+function select(handle) {
+  selected = handle;
+  if (stream) stream.close();
+  const output = document.getElementById("output");
+  output.textContent = "";
+  document.getElementById("detail").hidden = false;
+  stream = new EventSource("/api/instances/" + encodeURIComponent(handle) + "/stream");
+  stream.addEventListener("session", (event) => {
+    const info = JSON.parse(event.data);
+    output.textContent = "";
+    document.getElementById("output-title").textContent = info.session
+      ? (info.live ? "Live session " : "Last session ") + info.session
+      : "No sessions yet";
+  });
+  stream.addEventListener("output", (event) => {
+    const follow = output.scrollTop + output.clientHeight >= output.scrollHeight - 4;
+    output.textContent += JSON.parse(event.data);
+    if (follow) output.scrollTop = output.scrollHeight;
+  });
+  refresh();
+}
+
+async function refresh() {
+  const data = await (await fetch("/api/instances")).json();
+  document.getElementById("env").textContent = (data.environment ? data.environment + " · " : "") + data.base_url;
+  const rows = document.getElementById("rows");
+  rows.replaceChildren(...data.instances.map((i) => {
+    const tr = document.createElement("tr");
+    if (i.handle === selected) tr.className = "selected";
+    tr.onclick = () => select(i.handle);
+    const last = i.last_session;
+    tr.append(
+      cell(i.handle),
+      cell(i.state + (i.consecutive_failures ? " (" + i.consecutive_failures + " failed)" : ""), i.state),
+      cell(i.next_local || "not scheduled"),
+      cell(last ? last.outcome + " " + ago(last.ended_at) : "none", last?.outcome),
+      cell(duration(last?.duration_ms)),
+      cell(String(i.run_count)),
+    );
+    const actions = document.createElement("td");
+    actions.append(button("Run now", i.handle, "run"), i.state === "paused" || i.state === "suspended"
+      ? button("Resume", i.handle, "resume")
+      : button("Pause", i.handle, "pause"));
+    tr.append(actions);
+    return tr;
+  }));
+  const current = data.instances.find((i) => i.handle === selected);
+  if (current) {
+    document.getElementById("activity-title").textContent = "activity.log — " + current.handle;
+    const activity = document.getElementById("activity");
+    activity.textContent = current.activity.join("\\n") || "(empty)";
+    activity.scrollTop = activity.scrollHeight;
+  }
+}
+
+refresh();
+setInterval(refresh, 2000);
+</script>
+</body>
+</html>
+`;
+}
+
+// ---------------------------------------------------------------------------
+// Config validation — schema for agents.json, checked on every command
+// ---------------------------------------------------------------------------
+
+const ENVIRONMENT_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+const HANDLE_PATTERN = /^[a-z0-9_]{3,30}$/;
+
+function parseJsonWithLines(text) {
+  // JSON.parse plus a map from value path ("agents[2].schedule") to its line, for error messages.
+  const lines = new Map();
+  const duplicates = [];
+  let i = 0;
+  let line = 1;
+  const fail = (message) => {
+    const column = i - text.lastIndexOf("\n", i - 1);
+    throw new Error(`line ${line}, column ${column}: ${message}`);
+  };
+  const skipSpace = () => {
+    while (i < text.length && /\s/.test(text[i])) { if (text[i] === "\n") line++; i++; }
+  };
+  const readString = () => {
+    const match = /"(?:[^"\\\n]|\\.)*"/y;
+    match.lastIndex = i;
+    const found = match.exec(text);
+    if (!found) fail("unterminated string");
+    i = match.lastIndex;
+    return JSON.parse(found[0]);
+  };
+
+  function readValue(at) {
+    skipSpace();
+    if (!lines.has(at)) lines.set(at, line);
+    const ch = text[i];
+    if (ch === "{" || ch === "[") {
+      const isObject = ch === "{";
+      const close = isObject ? "}" : "]";
+      const out = isObject ? {} : [];
+      i++;
+      skipSpace();
+      if (text[i] === close) { i++; return out; }
+      for (;;) {
+        skipSpace();
+        if (isObject) {
+          if (text[i] !== '"') fail("expected a quoted key");
+          const keyLine = line;
+          const key = readString();
+          skipSpace();
+          if (text[i] !== ":") fail(`expected ':' after "${key}"`);
+          i++;
+          const child = at ? `${at}.${key}` : key;
+          if (Object.hasOwn(out, key)) duplicates.push({ path: child, line: keyLine });
+          lines.set(child, keyLine);
+          out[key] = readValue(child);
+        } else {
+          out.push(readValue(`${at}[${out.length}]`));
+        }
+        skipSpace();
+        if (text[i] === ",") { i++; continue; }
+        if (text[i] === close) { i++; return out; }
+        fail(`expected ',' or '${close}'`);
+      }
+    }
+    if (ch === '"') return readString();
+    const literal = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null/y;
+    literal.lastIndex = i;
+    const found = literal.exec(text);
+    if (!found) fail(ch === undefined ? "unexpected end of file" : `unexpected ${JSON.stringify(ch)}`);
+    i = literal.lastIndex;
+    return JSON.parse(found[0]);
+  }
+
+  const value = readValue("");
+  skipSpace();
+  if (i < text.length) fail("unexpected content after the end of the config");
+  return { value, lines, duplicates };
+}
+
+const int = (min = 0) => ({ type: "integer", min });
+const num = (min = 0) => ({ type: "number", min });
+const str = (extra = {}) => ({ type: "string", ...extra });
+const bool = { type: "boolean" };
+const obj = (keys, extra = {}) => ({ type: "object", keys, ...extra });
+const listOf = (items, extra = {}) => ({ type: "array", items, ...extra });
+const mapOf = (values) => ({ type: "object", values });
+const oneOf = (...options) => ({ oneOf: options });
+
+function checkCron(value) { return parseCron(value) ? null : "is not a valid 5-field cron expression"; }
+function checkTimezone(value) { return isValidTimezone(value) ? null : "is not a known IANA timezone"; }
+function checkActiveHours(value) {
+  const windows = Array.isArray(value) ? value : [value];
+  return parseActiveHours(windows).length === windows.length ? null : 'must be "HH:MM-HH:MM" windows';
+}
+function checkUrl(value) { try { new URL(value); return null; } catch { return "is not a valid URL"; } }
+
+function buildConfigSchema() {
+  const activeHours = { ...oneOf(str(), listOf(str())), check: checkActiveHours };
+  const dayOverride = obj({ active_hours: activeHours, interval_minutes: int(1), rate_per_hour: num(), hourly_rates: listOf(num(), { length: 24 }) });
+  const schedule = obj({
+    interval_minutes: int(1),
+    jitter_minutes: int(),
+    offset_minutes: int(),
+    initial_delay_minutes: int(),
+    only_due: bool,
+    timezone: str({ check: checkTimezone }),
+    mode: str({ enum: ["interval", "poisson"] }),
+    rate_per_hour: num(),
+    hourly_rates: listOf(num(), { length: 24 }),
+    active_hours: activeHours,
+    weekday: dayOverride,
+    weekend: dayOverride,
+    cron: str({ check: checkCron }),
+  });
+  const agentCommand = oneOf(str(), obj({ cmd: str(), args: listOf(str()) }, { required: ["cmd"] }));
+  const budget = obj(Object.fromEntries(BUDGET_LIMITS.map(([key]) => [key, num()])));
+  const sandbox = obj({
+    env_allowlist: { ...listOf(str()), nullable: true },
+    private_home: bool,
+    private_tmp: bool,
+    cpu_seconds: { ...int(1), nullable: true },
+    memory_mb: { ...int(1), nullable: true },
+    file_size_mb: { ...int(1), nullable: true },
+    max_output_bytes: int(1),
+    check_writes: bool,
+    watch_paths: { ...listOf(str()), nullable: true },
+  });
+  const backend = obj({
+    type: str({ enum: Object.keys(BACKEND_TYPES) }),
+    cmd: str(),
+    command: str(),
+    agent_command: agentCommand,
+    output_format: str(),
+    skip_permissions: bool,
+    full_auto: bool,
+    extra_args: listOf(str()),
+    base_url: str({ check: checkUrl }),
+    model: str(),
+    api_key_env: str(),
+    max_turns: int(1),
+    temperature: num(),
+    sandbox,
+  });
+  const words = oneOf(str(), listOf(str()));
+  const persona = obj({
+    bio: str(), tone: str(), expertise: words, interests: words, skills: words,
+    preferred_task_types: listOf(str({ enum: PERSONA_TASK_TYPES })),
+    activity_level: str({ enum: ACTIVITY_LEVELS }),
+  });
+  const personality = oneOf(
+    str({ enum: SCRIPTED_TONES }),
+    obj({ tone: str({ enum: SCRIPTED_TONES }), weights: obj(Object.fromEntries(Object.keys(DEFAULT_PERSONALITY_WEIGHTS).map((k) => [k, int()]))) }),
+  );
+
+  const agent = obj({
+    handle: str({ check: (h) => (HANDLE_PATTERN.test(h.toLowerCase()) ? null : "must be 3–30 characters of letters, numbers or _") }),
+    name: str(),
+    repo_context: listOf(str()),
+    schedule,
+    agent_command: agentCommand,
+    backend: str(),
+    role: str(),
+    prompt_template: str(),
+    model: str(),
+    api_key: str(),
+    api_keys: mapOf(str()),
+    personality,
+    budget,
+    persona,
+    persona_files: listOf(str()),
+  }, { required: ["handle"] });
+
+  const platformSchema = obj({
+    api_base: str({ check: checkUrl }),
+    request_timeout_ms: int(1),
+    session_timeout_ms: int(1),
+    max_parallel_runs: int(1),
+    seed: oneOf(str(), int()),
+    max_actions_per_agent_per_cycle: int(1),
+    restrict_to_config: bool,
+    only_due: bool,
+    schedule_defaults: schedule,
+    agent_command: agentCommand,
+    backend: str(),
+    backends: mapOf(backend),
+    model: str(),
+    local_agent_env: mapOf(str()),
+    budget,
+    agent_budget: budget,
+    retry: obj({ max_attempts: int(1), base_delay_ms: int(), max_delay_ms: int() }),
+    circuit_breaker: obj({ suspend_after: int(), backoff_factor: num(1), max_backoff_minutes: int(1) }),
+    memory: obj({ enabled: bool, sessions: int(1), transcript_tail_chars: int(), max_digest_chars: int(1) }),
+    secrets: obj({ file: { ...str(), nullable: true }, passphrase_env: str() }),
+    persona: obj({ mode: str({ enum: ["auto", "backend", "local", "off"] }) }),
+    sources: obj({ enabled: bool, refresh_hours: num(), fetch_timeout_ms: int(1), max_file_mb: int(1) }),
+    sandbox,
+    audit: obj({ enabled: bool, max_open_claims: int() }),
+    prompt_template: str(),
+    prompt_templates: mapOf(oneOf(str(), obj({ file: str() }, { required: ["file"] }))),
+    daemon_poll_ms: int(1),
+    daemon_shutdown_grace_ms: int(),
+  });
+
+  const environment = obj({
+    api_base: str({ check: checkUrl }),
+    request_timeout_ms: int(1),
+    session_timeout_ms: int(1),
+    registration: str({ enum: ["auto", "manual"] }),
+  }, { required: ["api_base"] });
+
+  return obj({ platform: platformSchema, environments: mapOf(environment), agents: listOf(agent) }, { required: ["agents"] });
+}
+
+const PROMPT_VARIABLES = ["handle", "name", "role", "model", "personality", "base_url", "api_base", "environment", "sources", "persona", "recent_memory", "focus", "memory_notes"];
+
+function promptTemplateIssues(name, spec) {
+  const at = `platform.prompt_templates.${name}`;
+  let source = spec;
+  if (spec && typeof spec === "object") {
+    const file = typeof spec.file === "string" && path.resolve(path.dirname(configPath), spec.file);
+    if (!file) return [];
+    if (!existsSync(file)) return [{ level: "error", path: `${at}.file`, message: `${file} not found` }];
+    source = readFileSync(file, "utf8");
+  }
+  if (typeof source !== "string") return [];
+  let nodes;
+  try { nodes = parsePromptTemplate(source); } catch (error) { return [{ level: "error", path: at, message: error.message }]; }
+
+  const names = new Set();
+  const walk = (list) => list.forEach((node) => {
+    if (node.name) names.add(node.name);
+    if (node.test) { names.add(node.test.replace(/^!/, "")); walk(node.then); walk(node.else); }
+  });
+  walk(nodes);
+  return [...names].filter((n) => !PROMPT_VARIABLES.includes(n.split(".")[0])).map((n) => ({
+    level: "warning", path: at, message: `uses unknown variable {${n}}; it is left as is`,
+  }));
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const next = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = next;
+    }
+  }
+  return row[b.length];
+}
+
+function describeType(schema) {
+  if (schema.oneOf) return schema.oneOf.map(describeType).join(" or ");
+  if (schema.enum) return `one of ${schema.enum.join(", ")}`;
+  if (schema.type === "integer") return schema.min > 0 ? `an integer ≥ ${schema.min}` : "a non-negative integer";
+  if (schema.type === "number") return schema.min > 0 ? `a number ≥ ${schema.min}` : "a non-negative number";
+  return schema.type === "array" ? "a list" : schema.type === "object" ? "an object" : `a ${schema.type}`;
+}
+
+function validateValue(value, schema, at, issues) {
+  const report = (level, message) => issues.push({ level, path: at, message });
+
+  if (schema.oneOf) {
+    const attempts = schema.oneOf.map((option) => { const found = []; validateValue(value, option, at, found); return found; });
+    const match = attempts.find((found) => !found.some((x) => x.level === "error"));
+    if (match) issues.push(...match);
+    else if (attempts.length) {
+      // Report the closest option's errors when the value has the right shape for it.
+      const shaped = attempts.find((found) => !found.some((x) => x.path === at && x.message.startsWith("must be")));
+      issues.push(...(shaped || [{ level: "error", path: at, message: `must be ${describeType(schema)}` }]));
+    }
+    if (match && schema.check) { const problem = schema.check(value); if (problem) report("error", problem); }
+    return;
+  }
+  if (value === null && schema.nullable) return;
+
+  const isObject = value !== null && typeof value === "object" && !Array.isArray(value);
+  const ok = schema.type === "integer" ? Number.isInteger(value)
+    : schema.type === "number" ? typeof value === "number" && Number.isFinite(value)
+      : schema.type === "array" ? Array.isArray(value)
+        : schema.type === "object" ? isObject
+          : typeof value === schema.type;
+  if (!ok) { report("error", `must be ${describeType(schema)}`); return; }
+
+  if ((schema.type === "integer" || schema.type === "number") && value < schema.min) report("error", `must be ${describeType(schema)}`);
+  if (schema.enum && !schema.enum.includes(value)) report("error", `must be ${describeType(schema)}, not ${JSON.stringify(value)}`);
+  if (schema.check) { const problem = schema.check(value); if (problem) report("error", problem); }
+
+  if (schema.type === "array") {
+    if (schema.length !== undefined && value.length !== schema.length) report("error", `must have exactly ${schema.length} entries`);
+    value.forEach((item, i) => validateValue(item, schema.items, `${at}[${i}]`, issues));
+  }
+
+  if (schema.type === "object") {
+    for (const key of schema.required || []) if (!(key in value)) report("error", `missing required key "${key}"`);
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = at ? `${at}.${key}` : key;
+      const childSchema = schema.values || schema.keys?.[key];
+      if (childSchema) { validateValue(child, childSchema, childPath, issues); continue; }
+      const known = Object.keys(schema.keys || {});
+      const guess = known.map((k) => [k, editDistance(key, k)]).sort((a, b) => a[1] - b[1])[0];
+      const hint = guess && guess[1] <= 2 ? ` (did you mean "${guess[0]}"?)` : "";
+      issues.push({ level: "warning", path: childPath, message: `unknown key${hint}; it is ignored` });
+    }
+  }
+}
+
+function validateConfig(value) {
+  const issues = [];
+  validateValue(value, buildConfigSchema(), "", issues);
+  const backends = value?.platform?.backends || {};
+  const environments = value?.environments && typeof value.environments === "object" ? value.environments : {};
+
+  for (const name of Object.keys(environments)) {
+    // Names become directory names and vault suffixes.
+    if (!ENVIRONMENT_PATTERN.test(name)) issues.push({ level: "error", path: `environments.${name}`, message: "name must be lowercase letters, numbers, _ or -" });
+  }
+  (Array.isArray(value?.agents) ? value.agents : []).forEach((agent, i) => {
+    for (const name of Object.keys(agent?.api_keys && typeof agent.api_keys === "object" ? agent.api_keys : {})) {
+      if (!Object.hasOwn(environments, name)) issues.push({ level: "error", path: `agents[${i}].api_keys.${name}`, message: `"${name}" is not a key of environments` });
+    }
+  });
+  (Array.isArray(value?.agents) ? value.agents : []).forEach((agent, i) => {
+    const handle = typeof agent?.handle === "string" ? agent.handle : "";
+    if (handle && handle !== handle.toLowerCase() && HANDLE_PATTERN.test(handle.toLowerCase())) {
+      issues.push({ level: "warning", path: `agents[${i}].handle`, message: `is used as "${handle.toLowerCase()}"` });
+    }
+    const name = agent?.backend;
+    if (typeof name === "string" && !backends[name] && !BACKEND_TYPES[name]) {
+      issues.push({ level: "error", path: `agents[${i}].backend`, message: `"${name}" is not a built-in backend or a key of platform.backends` });
+    }
+  });
+  for (const [name, spec] of Object.entries(backends)) {
+    if (spec && typeof spec === "object" && !spec.type && !BACKEND_TYPES[name]) {
+      issues.push({ level: "error", path: `platform.backends.${name}`, message: `needs a "type" (one of ${Object.keys(BACKEND_TYPES).join(", ")})` });
+    }
+  }
+  const templates = value?.platform?.prompt_templates || {};
+  const knownTemplate = (name) => templates[name] !== undefined || BUILTIN_PROMPT_TEMPLATES[name] !== undefined;
+  const defaultTemplate = value?.platform?.prompt_template;
+  if (typeof defaultTemplate === "string" && !knownTemplate(defaultTemplate)) {
+    issues.push({ level: "error", path: "platform.prompt_template", message: `"${defaultTemplate}" is not a built-in template or a key of platform.prompt_templates` });
+  }
+  (Array.isArray(value?.agents) ? value.agents : []).forEach((agent, i) => {
+    const name = agent?.prompt_template;
+    if (typeof name === "string" && !knownTemplate(name)) {
+      issues.push({ level: "error", path: `agents[${i}].prompt_template`, message: `"${name}" is not a built-in template or a key of platform.prompt_templates` });
+    }
+  });
+  for (const [name, spec] of Object.entries(templates)) issues.push(...promptTemplateIssues(name, spec));
+  const fallback = value?.platform?.backend;
+  if (typeof fallback === "string" && !backends[fallback] && !BACKEND_TYPES[fallback]) {
+    issues.push({ level: "error", path: "platform.backend", message: `"${fallback}" is not a built-in backend or a key of platform.backends` });
+  }
+  return issues;
+}
+
+function issueLine(issue, lines) {
+  // Walk up to the nearest path the parser saw, so missing keys point at their parent.
+  let at = issue.path;
+  while (at && !lines.has(at)) at = at.replace(/(\.[^.[\]]+|\[\d+\])$/, "");
+  return issue.line ?? lines.get(at) ?? 1;
+}
+
+function formatIssue(issue, lines) {
+  const file = path.relative(process.cwd(), configPath) || configPath;
+  return `${file}:${issueLine(issue, lines)}: ${issue.level}: ${issue.path || "(root)"} ${issue.message}`;
+}
+
+function sortIssues(issues, lines) {
+  return issues.sort((a, b) => issueLine(a, lines) - issueLine(b, lines));
+}
+
+function readConfigChecked() {
+  if (!existsSync(configPath)) return { value: { platform: {}, agents: [] }, issues: [], lines: new Map() };
+  let parsed;
+  try {
+    parsed = parseJsonWithLines(readFileSync(configPath, "utf8"));
+  } catch (error) {
+    throw new Error(`${path.relative(process.cwd(), configPath) || configPath}: invalid JSON at ${error.message}`);
+  }
+  const issues = validateConfig(parsed.value);
+  for (const dup of parsed.duplicates) issues.push({ level: "warning", path: dup.path, line: dup.line, message: "is set twice; the last value wins" });
+  return { ...parsed, issues };
+}
+
+async function lintConfig() {
+  const { value, lines, issues } = readConfigChecked();
+  const agents = Array.isArray(value.agents) ? value.agents : [];
+
+  const seen = new Map();
+  agents.forEach((agent, i) => {
+    const handle = String(agent?.handle || "").toLowerCase();
+    if (!handle) return;
+    if (seen.has(handle)) issues.push({ level: "error", path: `agents[${i}].handle`, message: `duplicates agents[${seen.get(handle)}] ("${handle}")` });
+    else seen.set(handle, i);
+    if (typeof agent.api_key === "string" && !isKeyReference(agent.api_key)) {
+      issues.push({ level: "error", path: `agents[${i}].api_key`, message: `is a plaintext key; store it with \`secrets set ${handle}\` and use "secret:${handle}"` });
+    }
+    for (const [env, key] of Object.entries(agent.api_keys && typeof agent.api_keys === "object" ? agent.api_keys : {})) {
+      if (typeof key === "string" && !isKeyReference(key)) {
+        issues.push({ level: "error", path: `agents[${i}].api_keys.${env}`, message: `is a plaintext key; store it with \`secrets set ${handle} --env ${env}\` and use "secret:${handle}@${env}"` });
+      }
+    }
+  });
+
+  const envName = cli.options.env || process.env.BEEHACK_ENV;
+  if (envName && !Object.hasOwn(value.environments || {}, envName)) {
+    issues.push({ level: "error", path: "environments", message: `has no "${envName}" (selected with --env or BEEHACK_ENV)` });
+  }
+
+  const hasErrors = issues.some((issue) => issue.level === "error");
+  if (!hasErrors && !cli.options["skip-platform"]) {
+    loadConfig({ quiet: true });
+    const at = environment ? `environments.${environment.name}.api_base` : "platform.api_base";
+    try {
+      const response = await fetch(`${API_BASE}/posts?limit=1`, { signal: AbortSignal.timeout(TIMEOUT) });
+      if (response.status >= 500) issues.push({ level: "warning", path: at, message: `${BASE} answered HTTP ${response.status}` });
+    } catch (error) {
+      issues.push({ level: "error", path: at, message: `${BASE} is unreachable: ${error.cause?.message || error.message}` });
+    }
+  }
+
+  const { secrets } = normalizePlatform(value.platform || {});
+  const vaultFile = vaultPath(secrets);
+  if (vaultFile.startsWith(instanceRoot + path.sep)) {
+    issues.push({ level: "warning", path: "platform.secrets.file", message: "is inside the instance root, where every agent can read it" });
+  }
+  if (!process.env[secrets.passphrase_env]) {
+    issues.push({
+      level: "warning", path: "platform.secrets",
+      message: `leaves the vault unencrypted at ${vaultFile}; spawned agents run as your user and can read every key in it. Set ${secrets.passphrase_env} to encrypt it`,
+    });
+  }
+
+  for (const issue of sortIssues(issues, lines)) console.log(formatIssue(issue, lines));
+  const errors = issues.filter((issue) => issue.level === "error").length;
+  console.log(`${errors ? "FAIL" : "OK"}: ${agents.length} agent(s), ${errors} error(s), ${issues.length - errors} warning(s)`);
+  if (errors) process.exitCode = 1;
 }
 
 // ---------------------------------------------------------------------------
 // Status & help
 // ---------------------------------------------------------------------------
 
+function instanceLabel(handle, state, next) {
+  return isLocked(handle) ? "running" : state.suspended ? "suspended" : state.paused ? "paused" : isDue(next) ? "due" : "waiting";
+}
+
 async function status() {
   ensureDir(instanceRoot);
   const instances = allInstances();
   if (instances.length === 0) { console.log(`No instances in ${instanceRoot}. Run bootstrap first.`); return; }
+  if (environment) console.log(`Environment ${environment.name} (${BASE})\n`);
 
-  console.log(`instance\tnext_run_at\tstate\tinterval_min\n`);
+  console.log(`instance\tnext_run_at\tnext_local\tstate\tinterval_min\tbudget_left\tlast_manual_run\n`);
   for (const handle of instances) {
     const dir = instancePath(handle);
-    const a = normalizeAgent(readAgentFromDir(dir) || { handle }, platform);
+    const a = loadAgent(handle);
     const s = readState(dir);
     const next = s.next_run_at || initialRunAt(a.schedule);
-    console.log(`${handle}\t${next}\t${isDue(next) ? "due" : "waiting"}\t${a.schedule.interval_minutes}`);
+    const label = instanceLabel(handle, s, next);
+    const budgetLeft = describeBudgetLeft(a.budget, budgetUsage(s));
+    const nextLocal = formatLocal(Date.parse(next), a.schedule.timezone);
+    console.log(`${handle}\t${next}\t${nextLocal}\t${label}\t${a.schedule.interval_minutes}\t${budgetLeft}\t${s.last_manual_run_at || "-"}`);
   }
+  console.log(`\nplatform budget left today: ${describeBudgetLeft(platform.budget, platformBudgetUsage())}`);
 }
 
 function help() {
@@ -616,13 +5057,52 @@ function help() {
 BeeHack Simulation Runner
 
 Usage:
-  node run-simulation.mjs bootstrap --config agents.json
-  node run-simulation.mjs run --config agents.json
+  node run-simulation.mjs bootstrap --config agents.json [--refresh-persona [--yes]] [--force]
+  node run-simulation.mjs sync-sources [handle...] --config agents.json [--force]
+  node run-simulation.mjs update-instructions [handle...] --config agents.json [--yes]
+  node run-simulation.mjs render-prompt <handle> --config agents.json [--template <name>] [--skip-platform]
+  node run-simulation.mjs run --config agents.json [--dry-run]
+  node run-simulation.mjs simulate-schedule [handle...] --config agents.json [--hours 48] [--tick <min>] [--start <iso>] [--format json]
+  node run-simulation.mjs daemon --config agents.json
   node run-simulation.mjs status --config agents.json
+  node run-simulation.mjs dashboard --config agents.json [--port 4020]
+  node run-simulation.mjs lint-config --config agents.json [--skip-platform]
+  node run-simulation.mjs add <handle> --config agents.json [--name <name>] [--model <model>] [--backend <name>] [--repo <url,url>]
+  node run-simulation.mjs remove <handle> --config agents.json
+  node run-simulation.mjs pause <handle...> | --all --config agents.json
+  node run-simulation.mjs resume <handle...> | --all --config agents.json
+  node run-simulation.mjs run-now <handle> --config agents.json
+  node run-simulation.mjs reset <handle> --config agents.json
+  node run-simulation.mjs secrets [list | set <handle> | import] --config agents.json
+  node run-simulation.mjs scenario <file.yaml|file.json> --config agents.json [--format json]
+  node run-simulation.mjs report --config agents.json [--since 7d] [--until <iso>] [--format table|json|markdown]
+  node run-simulation.mjs mock-server [--port 4010] [--fixture world.json] [--state mock-state.json] [--reset]
 
 Options:
   --config <path>     Path to config (default agents.example.json)
   --instances <path>  Instance root (default ./instances)
+  --env <name>        every command: use a named environment from "environments" (default BEEHACK_ENV, else none)
+  --seed <value>      run, daemon, run-now, simulate-schedule, bootstrap: seed for shuffling and schedule jitter
+                      (default platform.seed, else a fresh one that is logged)
+  --dry-run           run: show who would start, their prompts, commands and next_run_at; write nothing
+  --hours <n>         simulate-schedule: length of the simulated window (default 48)
+  --tick <min>        simulate-schedule: cron cadence to model (default 0: daemon timing)
+  --start <time>      simulate-schedule: virtual start, ISO 8601 (default now)
+  --all               pause, resume: every instance
+  --template <name>   render-prompt: render this template instead of the agent's own
+  --yes               update-instructions, bootstrap --refresh-persona: write the changes instead of only showing the diff
+  --refresh-persona   bootstrap: regenerate persona.json and CLAUDE.md from the sources
+  --force             bootstrap, sync-sources: refetch sources even if still fresh
+  --since <time>      report: window start, ISO 8601 or relative (24h, 7d; default 7d)
+  --until <time>      report: window end (default now)
+  --format <fmt>      report: table, json or markdown
+  --skip-platform     report: only use local events, do not query the API;
+                      lint-config: skip the api_base reachability check
+                      render-prompt, run --dry-run: leave open claims and conversations out of the memory digest
+  --port <n>          mock-server, dashboard: port to listen on
+  --fixture <path>    mock-server: seed users, posts, comments and messages
+  --state <path>      mock-server: persist the world to this file between restarts
+  --reset             mock-server: ignore --state contents and reseed from the fixture
 `);
 }
 
@@ -630,14 +5110,61 @@ Options:
 // Main
 // ---------------------------------------------------------------------------
 
-if (command === "help" || command === "--help" || command === "-h") { help(); process.exit(0); }
+function main() {
+  if (command === "help" || command === "--help" || command === "-h") { help(); process.exit(0); }
+
+  // lint-config reports problems itself instead of refusing to start.
+  if (command !== "lint-config") {
+    try { loadConfig(); } catch (e) { console.error(e.message); process.exit(1); }
+    initRandom();
+  }
 
-if (command === "bootstrap") {
-  bootstrap().catch((e) => { console.error(`bootstrap failed: ${e.message}`); process.exit(1); });
-} else if (command === "run") {
-  runScheduler().catch((e) => { console.error(`run failed: ${e.message}`); process.exit(1); });
-} else if (command === "status") {
-  status().catch((e) => { console.error(`status failed: ${e.message}`); process.exit(1); });
-} else {
-  help(); process.exit(1);
+  if (command === "bootstrap") {
+    bootstrap().catch((e) => { console.error(`bootstrap failed: ${e.message}`); process.exit(1); });
+  } else if (command === "run") {
+    runScheduler().catch((e) => { console.error(`run failed: ${e.message}`); process.exit(1); });
+  } else if (command === "simulate-schedule") {
+    simulateSchedule().catch((e) => { console.error(`simulate-schedule failed: ${e.message}`); process.exit(1); });
+  } else if (command === "daemon") {
+    daemon().catch((e) => { console.error(`daemon failed: ${e.message}`); process.exit(1); });
+  } else if (command === "add") {
+    addAgent().catch((e) => { console.error(`add failed: ${e.message}`); process.exit(1); });
+  } else if (command === "remove") {
+    removeAgent().catch((e) => { console.error(`remove failed: ${e.message}`); process.exit(1); });
+  } else if (command === "pause") {
+    setPaused(true).catch((e) => { console.error(`pause failed: ${e.message}`); process.exit(1); });
+  } else if (command === "resume") {
+    setPaused(false).catch((e) => { console.error(`resume failed: ${e.message}`); process.exit(1); });
+  } else if (command === "run-now") {
+    runNow().catch((e) => { console.error(`run-now failed: ${e.message}`); process.exit(1); });
+  } else if (command === "reset") {
+    resetAgent().catch((e) => { console.error(`reset failed: ${e.message}`); process.exit(1); });
+  } else if (command === "secrets") {
+    secrets().catch((e) => { console.error(`secrets failed: ${e.message}`); process.exit(1); });
+  } else if (command === "render-prompt") {
+    renderPrompt().catch((e) => { console.error(`render-prompt failed: ${e.message}`); process.exit(1); });
+  } else if (command === "update-instructions") {
+    updateInstructions().catch((e) => { console.error(`update-instructions failed: ${e.message}`); process.exit(1); });
+  } else if (command === "sync-sources") {
+    syncSourcesCommand().catch((e) => { console.error(`sync-sources failed: ${e.message}`); process.exit(1); });
+  } else if (command === "scenario") {
+    scenario().catch((e) => { console.error(`scenario failed: ${e.message}`); process.exit(1); });
+  } else if (command === "report") {
+    report().catch((e) => { console.error(`report failed: ${e.message}`); process.exit(1); });
+  } else if (command === "mock-server") {
+    mockServer().catch((e) => { console.error(`mock-server failed: ${e.message}`); process.exit(1); });
+  } else if (command === "dashboard") {
+    dashboard().catch((e) => { console.error(`dashboard failed: ${e.message}`); process.exit(1); });
+  } else if (command === "status") {
+    status().catch((e) => { console.error(`status failed: ${e.message}`); process.exit(1); });
+  } else if (command === "lint-config") {
+    lintConfig().catch((e) => { console.error(`lint-config failed: ${e.message}`); process.exit(1); });
+  } else {
+    help(); process.exit(1);
+  }
 }
+
+// Imported (by run-simulation.test.mjs) rather than run: expose the pure parts and start nothing.
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) main();
+
+export { parseCron, nextCronAt, parsePromptTemplate, renderPromptNodes, parseYaml, parseJsonWithLines, validateConfig, issueLine, sealVault, openVault };
@@ -0,0 +1,175 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseCron, nextCronAt, parsePromptTemplate, renderPromptNodes, parseYaml,
+  parseJsonWithLines, validateConfig, issueLine, sealVault, openVault,
+} from "./run-simulation.mjs";
+
+const render = (source, vars) => renderPromptNodes(parsePromptTemplate(source), vars, new Set());
+
+// ---------------------------------------------------------------------------
+// Cron
+// ---------------------------------------------------------------------------
+
+test("parseCron expands lists, ranges and steps", () => {
+  const cron = parseCron("*/15 9-17 * * 1-5");
+  assert.deepEqual([...cron.minute], [0, 15, 30, 45]);
+  assert.deepEqual([...cron.hour], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+  assert.deepEqual([...cron.dow], [1, 2, 3, 4, 5]);
+  assert.equal(cron.domAny, true);
+  assert.deepEqual([...parseCron("5,10 0 1 1 *").minute], [5, 10]);
+});
+
+test("parseCron treats 7 as Sunday and rejects malformed expressions", () => {
+  assert.ok(parseCron("0 0 * * 7").dow.has(0));
+  for (const bad of ["", "* * * *", "60 * * * *", "* 24 * * *", "* * 0 * *", "5-1 * * * *", "*/0 * * * *", "a * * * *"]) {
+    assert.equal(parseCron(bad), null, bad);
+  }
+});
+
+test("nextCronAt finds the next matching minute in the schedule's timezone", () => {
+  const after = Date.parse("2026-10-19T10:07:30Z"); // a Monday
+  assert.equal(nextCronAt(parseCron("*/15 * * * *"), "UTC", after), Date.parse("2026-10-19T10:15:00Z"));
+  assert.equal(nextCronAt(parseCron("0 9 * * 6"), "UTC", after), Date.parse("2026-10-24T09:00:00Z"));
+  // 09:00 in New York is 13:00 UTC while daylight saving time is on.
+  assert.equal(nextCronAt(parseCron("0 9 * * *"), "America/New_York", after), Date.parse("2026-10-19T13:00:00Z"));
+});
+
+test("nextCronAt matches either day field when both are restricted", () => {
+  const after = Date.parse("2026-10-19T12:00:00Z");
+  // The 20th is a Tuesday; the next Sunday is the 25th.
+  assert.equal(nextCronAt(parseCron("0 0 20 * 0"), "UTC", after), Date.parse("2026-10-20T00:00:00Z"));
+  assert.equal(nextCronAt(parseCron("0 0 30 2 *"), "UTC", after), null);
+});
+
+// ---------------------------------------------------------------------------
+// Prompt templates
+// ---------------------------------------------------------------------------
+
+test("templates substitute variables, dotted paths and lists", () => {
+  const vars = { handle: "kathaleen", persona: { tone: "dry", expertise: ["echo", "MMVD"] } };
+  assert.equal(render("{handle}: {persona.tone}; {persona.expertise}", vars), "kathaleen: dry; echo, MMVD");
+});
+
+test("templates leave unknown names literal and report them", () => {
+  const unknown = new Set();
+  const out = renderPromptNodes(parsePromptTemplate("send {to_handle} as {handle}"), { handle: "a" }, unknown);
+  assert.equal(out, "send {to_handle} as a");
+  assert.deepEqual([...unknown], ["to_handle"]);
+});
+
+test("template conditionals handle else, negation, empty lists and blank strings", () => {
+  const source = "{#if sources}has sources{#else}no sources{/if}|{#if !focus}unfocused{/if}";
+  assert.equal(render(source, { sources: "- repo", focus: "" }), "has sources|unfocused");
+  assert.equal(render(source, { sources: "  ", focus: "x" }), "no sources|");
+  assert.equal(render("{#if list}yes{#else}no{/if}", { list: [] }), "no");
+});
+
+test("block tags on their own line take the line break with them", () => {
+  assert.equal(render("a\n{#if x}\nb\n{/if}\nc\n", { x: false }), "a\nc\n");
+  assert.equal(render("a\n{#if x}\nb\n{/if}\nc\n", { x: true }), "a\nb\nc\n");
+});
+
+test("unbalanced template blocks fail with a line number", () => {
+  assert.throws(() => parsePromptTemplate("a\n{#if x}\nb", "t"), /^Error: t: line \d+: unclosed \{#if x\}/);
+  assert.throws(() => parsePromptTemplate("{/if}"), /\{\/if\} without \{#if\}/);
+  assert.throws(() => parsePromptTemplate("{#else}"), /\{#else\} without \{#if\}/);
+});
+
+// ---------------------------------------------------------------------------
+// YAML subset
+// ---------------------------------------------------------------------------
+
+test("parseYaml reads maps, lists of maps, scalars and flow lists", () => {
+  const doc = parseYaml([
+    "name: review loop # trailing comment",
+    "agents: [alice, 'bob']",
+    "phases:",
+    "  - name: first",
+    "    turns: 2",
+    "    open: true",
+    "  - name: \"second: quoted\"",
+    "    note: ~",
+    "empty: {}",
+  ].join("\n"));
+  assert.deepEqual(doc, {
+    name: "review loop",
+    agents: ["alice", "bob"],
+    phases: [{ name: "first", turns: 2, open: true }, { name: "second: quoted", note: null }],
+    empty: {},
+  });
+});
+
+test("parseYaml supports literal and folded block scalars", () => {
+  const doc = parseYaml("literal: |\n  one\n  two\nfolded: >-\n  one\n  two\n");
+  assert.equal(doc.literal, "one\ntwo\n");
+  assert.equal(doc.folded, "one two");
+});
+
+test("parseYaml reports the offending line", () => {
+  assert.throws(() => parseYaml("a: 1\n   b: 2"), /line 2: unexpected indentation/);
+  assert.throws(() => parseYaml("a:\n\t- x"), /line 2: tabs are not allowed/);
+  assert.throws(() => parseYaml("a: 1\njust text"), /line 2: expected `key: value`/);
+});
+
+// ---------------------------------------------------------------------------
+// Config validation
+// ---------------------------------------------------------------------------
+
+test("parseJsonWithLines maps value paths to lines and reports duplicates", () => {
+  const text = '{\n  "platform": {\n    "only_due": true\n  },\n  "agents": [\n    { "handle": "a" },\n    {\n      "handle": "b",\n      "handle": "c"\n    }\n  ]\n}\n';
+  const { value, lines, duplicates } = parseJsonWithLines(text);
+  assert.equal(value.agents[1].handle, "c");
+  assert.equal(lines.get("platform.only_due"), 3);
+  assert.equal(lines.get("agents[0].handle"), 6);
+  assert.equal(lines.get("agents[1]"), 7);
+  assert.deepEqual(duplicates, [{ path: "agents[1].handle", line: 9 }]);
+  assert.throws(() => parseJsonWithLines('{\n  "a": 1,\n}'), /line 3, column 1: expected a quoted key/);
+});
+
+test("validateConfig flags bad types, unknown keys and unknown references", () => {
+  const config = {
+    platform: { max_parallel_runs: "3", only_due: true, prompt_template: "nope" },
+    agents: [{ handle: "a", schedule: { cron: "61 * * * *", interval_minute: 5 }, backend: "missing" }],
+  };
+  const issues = validateConfig(config);
+  const find = (p) => issues.find((x) => x.path === p);
+  assert.equal(find("platform.max_parallel_runs").level, "error");
+  assert.equal(find("platform.prompt_template").level, "error");
+  assert.match(find("agents[0].schedule.cron").message, /cron/);
+  assert.equal(find("agents[0].schedule.interval_minute").level, "warning");
+  assert.match(find("agents[0].schedule.interval_minute").message, /did you mean "interval_minutes"/);
+  assert.equal(find("agents[0].backend").level, "error");
+  assert.deepEqual(validateConfig({ agents: [{ handle: "alice" }] }), []);
+});
+
+test("issueLine points a problem at its line, or its nearest parent's", () => {
+  const { value, lines } = parseJsonWithLines('{\n  "agents": [\n    {\n      "handle": "a",\n      "schedule": { "cron": "bad" }\n    }\n  ]\n}\n');
+  const issues = validateConfig(value);
+  const cron = issues.find((x) => x.path === "agents[0].schedule.cron");
+  assert.equal(issueLine(cron, lines), 5);
+  assert.equal(issueLine({ path: "agents[0].missing.deeper" }, lines), 3);
+  assert.equal(issueLine({ path: "agents[0].handle", line: 9 }, lines), 9);
+});
+
+// ---------------------------------------------------------------------------
+// Vault
+// ---------------------------------------------------------------------------
+
+test("an encrypted vault round-trips with the right passphrase", () => {
+  const body = { version: 1, keys: { kathaleen: { api_key: "bh_secret", source: "register" } } };
+  const sealed = sealVault(body, "correct horse");
+  assert.equal(sealed.cipher, "aes-256-gcm");
+  assert.ok(!JSON.stringify(sealed).includes("bh_secret"));
+  assert.deepEqual(openVault(sealed, "correct horse"), body);
+  // A fresh salt and IV per write: the same content never encrypts the same way twice.
+  assert.notEqual(sealVault(body, "correct horse").data, sealed.data);
+});
+
+test("an encrypted vault refuses a wrong passphrase or tampered data", () => {
+  const sealed = sealVault({ version: 1, keys: { a: { api_key: "k" } } }, "right");
+  assert.throws(() => openVault(sealed, "wrong"));
+  const data = Buffer.from(sealed.data, "base64");
+  data[0] ^= 1;
+  assert.throws(() => openVault({ ...sealed, data: data.toString("base64") }, "right"));
+});